@@ -1,19 +1,54 @@
 // Simple Investor Portfolio - Frontend logic
-// Stores data in localStorage, renders three tabs: ETFs, Purchases, Dashboard
+// Stores data in IndexedDB, renders the tabs: ETFs, Purchases, Dashboard, Reports
 
 (function () {
 	const LS_KEYS = {
 		etfs: 'sip_etfs',
 		purchases: 'sip_purchases',
 		goals: 'sip_goals',
+		cash: 'sip_cash',
+		fx: 'sip_fx',
+		plans: 'sip_plans',
+		alerts: 'sip_alerts',
+		alertState: 'sip_alert_state',
+		portfolios: 'sip_portfolios',
+		importProfiles: 'sip_import_profiles',
+		priceSources: 'sip_price_sources',
+		benchmark: 'sip_benchmark',
+		sync: 'sip_sync',
+		syncTimes: 'sip_sync_times',
+		backups: 'sip_backups',
+		backupSettings: 'sip_backup_settings',
+		storageMode: 'sip_storage_mode',
+		audit: 'sip_audit',
 		ui: 'sip_ui'
 	};
 
 	// ---------- Utilities ----------
 	const $ = (sel, root = document) => root.querySelector(sel);
 	const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
-	const fmtCurrency = (n) => `€${(n || 0).toLocaleString(undefined, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`;
+	const CURRENCIES = { EUR: '€', USD: '$', GBP: '£', CHF: 'CHF ' };
+	const currencySign = (cur) => CURRENCIES[cur] ?? `${cur} `;
+	const fmtMoney = (n, cur = 'EUR') => `${currencySign(cur)}${(n || 0).toLocaleString(undefined, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`;
+	// Amounts already converted into the user's base currency
+	const fmtCurrency = (n) => fmtMoney(n, ui.baseCurrency);
+	const baseSign = () => currencySign(ui.baseCurrency).trim();
 	const fmtDate = (ts) => new Date(ts).toLocaleString();
+	const fmtPct = (n) => (n == null || !isFinite(n) ? '—' : `${(n * 100).toFixed(2)}%`);
+	const DAY_MS = 24 * 3600 * 1000;
+	const escapeHtml = (str) => String(str).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+	const fileStamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+	function downloadFile(name, content, type) {
+		const url = URL.createObjectURL(new Blob([content], { type }));
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = name;
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+		URL.revokeObjectURL(url);
+	}
 	const nowLocalDatetime = () => {
 		const d = new Date();
 		d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
@@ -26,149 +61,3182 @@
 		return d.getTime();
 	};
 
-	const storage = {
-		get(key, fallback) {
-			try {
-				const raw = localStorage.getItem(key);
-				return raw ? JSON.parse(raw) : fallback;
-			} catch (_) {
-				return fallback;
+	// ---------- Storage ----------
+	// Every key lives in memory as JSON, so reads stay synchronous; IndexedDB is written behind it
+	// and other tabs are told which keys changed.
+	// Arrays are stored one record per item and a save rewrites only the items that changed.
+	// Without IndexedDB (or if it fails to open) the same keys go to localStorage as before.
+	const DB_NAME = 'simple-investor-portfolio';
+	const DB_STORE = 'records'; // { key, id, value } per item, { key, id:0, list:[ids] | value } per key
+	const HEAD_ID = 0; // numbers sort before string ids, so the head record never clashes with an item
+	const memory = new Map(); // key -> JSON
+	const written = new Map(); // key -> { json } or { order, items: Map<id, json> }, as last stored
+	const dirtyKeys = new Set();
+	let db = null;
+	let flushTimer = null;
+	let flushing = Promise.resolve();
+	let writeFailed = false;
+	// Tells other tabs which keys were saved; without it they still hear about localStorage writes
+	const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(DB_NAME) : null;
+
+	// Stable id of an array item within its key; items without a natural key are identified by content
+	const RECORD_IDS = {
+		[LS_KEYS.etfs]: (e) => e.symbol,
+		[LS_KEYS.fx]: (f) => f.currency,
+		[LS_KEYS.purchases]: (p) => p.id || tradeKey(p),
+		[LS_KEYS.audit]: (e) => e.ts,
+	};
+	const recordId = (key, item) => String((RECORD_IDS[key.split(':')[0]] || ((x) => x?.id ?? JSON.stringify(x)))(item));
+
+	function toRecords(key, list) {
+		const seen = new Map();
+		const items = new Map();
+		list.forEach((item) => {
+			const base = recordId(key, item);
+			const n = seen.get(base) || 0;
+			seen.set(base, n + 1);
+			items.set(n ? `${base}#${n}` : base, JSON.stringify(item));
+		});
+		return { order: [...items.keys()].join('\n'), items };
+	}
+
+	const storedForm = (key, value, json) => (Array.isArray(value) ? toRecords(key, value) : { json });
+
+	// What a flush does to one key: `ids` are the items that differ from what is stored
+	function planWrite(key) {
+		const json = memory.get(key);
+		const before = written.get(key);
+		if (json === undefined) return { key, before, after: null, ids: before?.items ? [...before.items.keys()] : [] };
+		const value = JSON.parse(json);
+		const after = storedForm(key, value, json);
+		if (!after.items) return { key, before, after, value, ids: [] };
+		const ids = [...after.items.keys()].filter((id) => before?.items?.get(id) !== after.items.get(id));
+		before?.items?.forEach((_, id) => { if (!after.items.has(id)) ids.push(id); });
+		return { key, before, after, value, ids };
+	}
+
+	const idbRequest = (req) => new Promise((resolve, reject) => {
+		req.onsuccess = () => resolve(req.result);
+		req.onerror = () => reject(req.error);
+	});
+
+	const keyRange = (key) => IDBKeyRange.bound([key, -Infinity], [key, []]);
+
+	function writeDatabase(plans) {
+		const tx = db.transaction(DB_STORE, 'readwrite');
+		const store = tx.objectStore(DB_STORE);
+		plans.forEach(({ key, before, after, value, ids }) => {
+			if (!after) return store.delete(keyRange(key));
+			if (!after.items) {
+				if (before?.json === after.json) return;
+				if (before?.items) store.delete(keyRange(key));
+				return store.put({ key, id: HEAD_ID, value });
+			}
+			ids.forEach((id) => {
+				if (after.items.has(id)) store.put({ key, id, value: JSON.parse(after.items.get(id)) });
+				else store.delete([key, id]);
+			});
+			if (before?.json) store.delete([key, HEAD_ID]);
+			if (before?.order !== after.order || !before?.items) store.put({ key, id: HEAD_ID, list: [...after.items.keys()] });
+		});
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = resolve;
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+		});
+	}
+
+	// localStorage fallback: whole keys, as before IndexedDB
+	function writeLocalStorage(plans) {
+		plans.forEach(({ key, after }) => {
+			if (after) localStorage.setItem(key, memory.get(key)); else localStorage.removeItem(key);
+		});
+	}
+
+	function setStorageError(failed) {
+		if (writeFailed === failed) return;
+		writeFailed = failed;
+		if (failed) setServerStatus('⚠️ не вдалося зберегти в браузері', true);
+		else setServerStatus(storageMode === 'server' ? '🌐 збережено' : '');
+	}
+
+	// Writes queued keys in one go; failed keys stay queued and are retried with the next save
+	function flushStorage() {
+		flushTimer = null;
+		flushing = flushing.then(async () => {
+			if (!dirtyKeys.size) return;
+			const keys = [...dirtyKeys];
+			dirtyKeys.clear();
+			const plans = keys.map(planWrite);
+			// Edit times for the sync channel are stored in the same write
+			const times = stampRecordEdits(plans);
+			if (times) {
+				memory.set(LS_KEYS.syncTimes, JSON.stringify(times));
+				plans.push(planWrite(LS_KEYS.syncTimes));
+			}
+			try {
+				if (db) await writeDatabase(plans); else writeLocalStorage(plans);
+				plans.forEach(({ key, after }) => { if (after) written.set(key, after); else written.delete(key); });
+				setStorageError(false);
+				// UI settings stay per tab
+				channel?.postMessage({ keys: plans.map((p) => p.key).filter((key) => key !== LS_KEYS.ui) });
+				if (times) scheduleSync(SYNC_DELAY_MS);
+			} catch (err) {
+				console.error('Browser storage write failed:', err);
+				keys.forEach((key) => dirtyKeys.add(key));
+				setStorageError(true);
+			}
+		});
+		return flushing;
+	}
+
+	function queueWrite(key) {
+		dirtyKeys.add(key);
+		if (!flushTimer) flushTimer = setTimeout(flushStorage, 0);
+	}
+
+	function loadRecords(key, records) {
+		const head = records.find((r) => r.id === HEAD_ID);
+		if (!head) {
+			memory.delete(key);
+			written.delete(key);
+			return;
+		}
+		const items = new Map(records.map((r) => [r.id, r.value]));
+		const value = head.list ? head.list.filter((id) => items.has(id)).map((id) => items.get(id)) : head.value;
+		const json = JSON.stringify(value);
+		memory.set(key, json);
+		written.set(key, storedForm(key, value, json));
+	}
+
+	async function readDatabase() {
+		const records = await idbRequest(db.transaction(DB_STORE).objectStore(DB_STORE).getAll());
+		const byKey = new Map();
+		records.forEach((r) => {
+			if (!byKey.has(r.key)) byKey.set(r.key, []);
+			byKey.get(r.key).push(r);
+		});
+		byKey.forEach((list, key) => loadRecords(key, list));
+	}
+
+	// Another tab saved these keys; this tab's own pending saves win
+	async function reloadKeys(keys) {
+		const fresh = keys.filter((key) => !dirtyKeys.has(key));
+		if (db) {
+			const store = db.transaction(DB_STORE).objectStore(DB_STORE);
+			const lists = await Promise.all(fresh.map((key) => idbRequest(store.getAll(keyRange(key)))));
+			fresh.forEach((key, i) => loadRecords(key, lists[i]));
+		} else {
+			fresh.forEach((key) => {
+				const json = localStorage.getItem(key);
+				if (json == null) {
+					memory.delete(key);
+					written.delete(key);
+				} else {
+					memory.set(key, json);
+					written.set(key, storedForm(key, JSON.parse(json), json));
+				}
+			});
+		}
+		if (fresh.length) applyExternalChanges();
+	}
+
+	channel?.addEventListener('message', (ev) => reloadKeys(ev.data.keys));
+	if (!channel) {
+		window.addEventListener('storage', (ev) => {
+			if (!db && ev.key?.startsWith('sip_') && ev.key !== LS_KEYS.ui) reloadKeys([ev.key]);
+		});
+	}
+
+	const storage = {
+		// Loads everything into memory; on first run the old localStorage keys move into IndexedDB
+		async open() {
+			try {
+				if (!window.indexedDB) throw new Error('IndexedDB is not available');
+				const req = indexedDB.open(DB_NAME, 1);
+				req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: ['key', 'id'] });
+				db = await idbRequest(req);
+				await readDatabase();
+			} catch (err) {
+				console.warn('Falling back to localStorage:', err);
+				db = null;
+			}
+			const legacy = Object.keys(localStorage).filter((k) => k.startsWith('sip_'));
+			if (db && memory.size) return;
+			legacy.forEach((key) => {
+				const json = localStorage.getItem(key);
+				memory.set(key, json);
+				if (db) dirtyKeys.add(key);
+				else written.set(key, storedForm(key, JSON.parse(json), json));
+			});
+			if (!db || !legacy.length) return;
+			await flushStorage();
+			// Only what IndexedDB has confirmed, so a failed migration keeps the originals
+			legacy.filter((key) => written.has(key)).forEach((key) => localStorage.removeItem(key));
+		},
+		get(key, fallback) {
+			try {
+				const raw = memory.get(key);
+				return raw ? JSON.parse(raw) : fallback;
+			} catch (_) {
+				return fallback;
+			}
+		},
+		has: (key) => memory.has(key),
+		usesDatabase: () => !!db,
+		keys: () => [...memory.keys()],
+		// Stores without echoing to the server (e.g. data that just came from it)
+		setLocal(key, val) {
+			memory.set(key, JSON.stringify(val));
+			queueWrite(key);
+		},
+		set(key, val) {
+			storage.setLocal(key, val);
+			if (storageMode === 'server' && SERVER_COLLECTIONS[key]) pushCollection(SERVER_COLLECTIONS[key], val);
+		},
+		remove(key) {
+			memory.delete(key);
+			queueWrite(key);
+		},
+		// True while saves are still on their way to the browser store or the last write failed
+		pending: () => dirtyKeys.size > 0 || writeFailed,
+	};
+
+	// ---------- Server storage ----------
+	// Optional mode: server.js keeps the data file, the browser store stays as the synchronous cache
+	const SERVER_COLLECTIONS = {
+		[LS_KEYS.etfs]: 'etfs',
+		[LS_KEYS.purchases]: 'purchases',
+		[LS_KEYS.cash]: 'cash',
+		[LS_KEYS.fx]: 'fx',
+		[LS_KEYS.plans]: 'plans',
+		[LS_KEYS.goals]: 'goals',
+		[LS_KEYS.alerts]: 'alerts',
+		[LS_KEYS.ui]: 'ui',
+	};
+	let storageMode = 'local'; // set by loadState
+	let serverQueue = Promise.resolve();
+
+	function setServerStatus(text, failed = false) {
+		const el = $('#storage-status');
+		if (!el) return;
+		el.textContent = text;
+		el.classList.toggle('text-red-600', failed);
+	}
+
+	async function apiRequest(method, url, body) {
+		const res = await fetch(url, {
+			method,
+			headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+			body: body === undefined ? undefined : JSON.stringify(body),
+			cache: 'no-store',
+		});
+		if (!res.ok) {
+			const err = new Error(`${method} ${url}: ${res.status}`);
+			err.status = res.status;
+			throw err;
+		}
+		return res.status === 204 ? null : res.json();
+	}
+
+	// Saves are queued so the server sees them in the same order as the browser store
+	function pushCollection(name, val) {
+		serverQueue = serverQueue
+			.catch(() => {})
+			.then(() => apiRequest('PUT', `./api/${name}`, val))
+			.then(() => setServerStatus('🌐 збережено'))
+			.catch((err) => {
+				console.error(err);
+				setServerStatus('⚠️ не збережено на сервері', true);
+			});
+		return serverQueue;
+	}
+
+	// Server data wins: it is written into the local cache without echoing back
+	function applyServerData(raw) {
+		const data = migrateData(raw);
+		Object.entries(SERVER_COLLECTIONS).forEach(([key, name]) => {
+			if (data[name] != null) storage.setLocal(key, data[name]);
+		});
+		reloadState();
+	}
+
+	const serverIsEmpty = (data) => !data.etfs?.length && !data.purchases?.length;
+
+	// The server keeps the default portfolio; other portfolios stay in this browser
+	const pushAllToServer = () => apiRequest('PUT', './api/data', buildExport(DEFAULT_PORTFOLIO));
+
+
+	// ---------- State ----------
+	// ETFs, prices and FX are shared by the workspace; purchases, cash, plans, goals and alerts belong to a portfolio
+	const DEFAULT_PORTFOLIO = 'default';
+	const ALL_PORTFOLIOS = 'all';
+	const PORTFOLIO_COLLECTIONS = ['purchases', 'cash', 'plans', 'goals', 'alerts'];
+	// The default portfolio keeps the original keys, so data from before portfolios needs no migration
+	const portfolioKey = (base, id = ui.portfolio) => (id === DEFAULT_PORTFOLIO ? base : `${base}:${id}`);
+	const storageKey = (name) => (PORTFOLIO_COLLECTIONS.includes(name) ? portfolioKey(LS_KEYS[name]) : LS_KEYS[name]);
+	const readList = (key) => {
+		const val = storage.get(key, []);
+		return Array.isArray(val) ? val : [];
+	};
+	const readPortfolio = (id) => Object.fromEntries(PORTFOLIO_COLLECTIONS.map((name) => [name, readList(portfolioKey(LS_KEYS[name], id))]));
+	// "All portfolios" concatenates every portfolio for the dashboard and never writes back
+	const isConsolidated = () => ui.portfolio === ALL_PORTFOLIOS;
+
+	let ui;
+	let portfolios; // [{id, name}]
+	let etfs; // [{symbol, name, prices:[{ts, price}]}]
+	let purchases; // [{ts, symbol, qty, side?:'buy'|'sell'}]
+	let goals; // [{id, name, target, monthly}]
+	let cash; // [{id, ts, type:'deposit'|'withdrawal'|'dividend'|'fee', amount, symbol?, note?}]
+	let fx; // FX snapshots, stored like prices: [{currency, rates:[{ts, rate}]}], rate = EUR per 1 unit of currency
+	let plans; // [{id, symbol, amount, currency, day, start:'YYYY-MM-DD', end?, skipped:['YYYY-MM']}]
+	let alerts; // [{id, type:'price'|'pl'|'stale'|'goal', symbol?, currency?, op?:'below'|'above', value?, days?, goalId?, notify?}]
+	// Which alerts have fired {[alertId]: {since, text, ack?, snoozedUntil?}}; per portfolio, local to this browser
+	let alertState;
+	// Saved column mappings for broker statement imports (tool settings, not portfolio data)
+	let importProfiles;
+	// Price feed sources (see PRICE_ADAPTERS); tool settings of this browser, not portfolio data
+	let priceSources;
+	// Imported benchmark price series {name, currency, prices:[{ts, price}]}; reference data, also kept out of exports
+	let customBenchmark;
+
+	function loadState() {
+		storageMode = storage.get(LS_KEYS.storageMode, 'local') === 'server' ? 'server' : 'local';
+		importProfiles = storage.get(LS_KEYS.importProfiles, []);
+		if (!Array.isArray(importProfiles)) importProfiles = [];
+		priceSources = storage.get(LS_KEYS.priceSources, []);
+		if (!Array.isArray(priceSources)) priceSources = [];
+		customBenchmark = storage.get(LS_KEYS.benchmark, null);
+		auditLog = storage.get(LS_KEYS.audit, []);
+		if (!Array.isArray(auditLog)) auditLog = [];
+		ui = storage.get(LS_KEYS.ui, { active: 'etfs', expandedEtfs: [] });
+		if (!Array.isArray(ui.expandedEtfs)) ui.expandedEtfs = [];
+		if (!ui.costMethod) ui.costMethod = 'fifo'; // 'fifo' | 'lifo' | 'avg'
+		if (!CURRENCIES[ui.baseCurrency]) ui.baseCurrency = 'EUR';
+		portfolios = readList(LS_KEYS.portfolios);
+		if (!portfolios.some((p) => p.id === DEFAULT_PORTFOLIO)) portfolios.unshift({ id: DEFAULT_PORTFOLIO, name: 'Основний' });
+		if (ui.portfolio !== ALL_PORTFOLIOS && !portfolios.some((p) => p.id === ui.portfolio)) ui.portfolio = DEFAULT_PORTFOLIO;
+		etfs = readList(LS_KEYS.etfs);
+		fx = readList(LS_KEYS.fx);
+		const parts = isConsolidated() ? portfolios.map((p) => readPortfolio(p.id)) : [readPortfolio(ui.portfolio)];
+		purchases = parts.flatMap((p) => p.purchases);
+		cash = parts.flatMap((p) => p.cash);
+		plans = parts.flatMap((p) => p.plans);
+		goals = parts.flatMap((p) => p.goals);
+		alerts = parts.flatMap((p) => p.alerts);
+		const ids = isConsolidated() ? portfolios.map((p) => p.id) : [ui.portfolio];
+		alertState = Object.assign({}, ...ids.map((id) => storage.get(portfolioKey(LS_KEYS.alertState, id), {})));
+		syncState = readSyncState();
+	}
+
+	function reloadState() {
+		loadState();
+		invalidateIndexes();
+		scheduleAlertCheck();
+		// Whatever was just loaded is the new baseline; older steps no longer apply
+		resetHistory();
+	}
+
+	// Another tab or device changed the data: take it over and re-render (when this tab is visible again)
+	let renderOnShow = false;
+	function applyExternalChanges() {
+		// Not initialised yet; DOMContentLoaded loads the state anyway
+		if (!ui) return;
+		if (touched.size) flushHistory();
+		reloadState();
+		if (document.hidden) {
+			renderOnShow = true;
+			return;
+		}
+		renderPortfolioSwitcher();
+		refreshPurchaseSymbols();
+		setActiveTab(ui.active || 'etfs');
+	}
+	document.addEventListener('visibilitychange', () => {
+		if (document.hidden || !renderOnShow) return;
+		renderOnShow = false;
+		renderPortfolioSwitcher();
+		refreshPurchaseSymbols();
+		setActiveTab(ui.active || 'etfs');
+	});
+
+	function saveCollection(name, value) {
+		invalidateIndexes(name);
+		if (isConsolidated() && PORTFOLIO_COLLECTIONS.includes(name)) return;
+		storage.set(storageKey(name), value);
+		recordChange(name);
+		if (ALERT_INPUTS.includes(name)) scheduleAlertCheck();
+	}
+	const saveEtfs = () => saveCollection('etfs', etfs);
+	const savePurchases = () => saveCollection('purchases', purchases);
+	const saveGoals = () => saveCollection('goals', goals);
+	const saveCash = () => saveCollection('cash', cash);
+	const saveFx = () => saveCollection('fx', fx);
+	const savePlans = () => saveCollection('plans', plans);
+	const saveAlerts = () => saveCollection('alerts', alerts);
+	const saveAlertState = () => { if (!isConsolidated()) storage.set(portfolioKey(LS_KEYS.alertState), alertState); };
+	const savePortfolios = () => storage.set(LS_KEYS.portfolios, portfolios);
+	const saveImportProfiles = () => storage.set(LS_KEYS.importProfiles, importProfiles);
+	const savePriceSources = () => storage.set(LS_KEYS.priceSources, priceSources);
+	const saveBenchmark = () => storage.set(LS_KEYS.benchmark, customBenchmark);
+	const saveUi = () => storage.set(LS_KEYS.ui, ui);
+
+	// ---------- History: undo/redo and audit log ----------
+	// Every save* diffs its collection against the last saved copy; saves made in the same tick form one step.
+	// UI settings and import profiles are not portfolio data and stay out of the history.
+	const HISTORY_STATE = {
+		etfs: { get: () => etfs, set: (v) => { etfs = v; } },
+		purchases: { get: () => purchases, set: (v) => { purchases = v; } },
+		cash: { get: () => cash, set: (v) => { cash = v; } },
+		fx: { get: () => fx, set: (v) => { fx = v; } },
+		plans: { get: () => plans, set: (v) => { plans = v; } },
+		goals: { get: () => goals, set: (v) => { goals = v; } },
+		alerts: { get: () => alerts, set: (v) => { alerts = v; } },
+	};
+	const HISTORY_LIMIT = 100;
+	const AUDIT_LIMIT = 500;
+	// Audit entries keep at most this many item changes (imports can touch thousands of snapshots)
+	const AUDIT_CHANGES_LIMIT = 50;
+	// Edits of the same items within this window (e.g. typing into a goal) collapse into one step
+	const HISTORY_MERGE_MS = 2000;
+
+	let auditLog = []; // read by loadState
+	const saveAudit = () => storage.set(LS_KEYS.audit, auditLog);
+	let historyBase = {};
+	let undoStack = [];
+	let redoStack = [];
+	const touched = new Set();
+	let nextLabel = null;
+
+	function resetHistory() {
+		Object.entries(HISTORY_STATE).forEach(([name, s]) => { historyBase[name] = JSON.stringify(s.get()); });
+		undoStack = [];
+		redoStack = [];
+		touched.clear();
+		nextLabel = null;
+		updateHistoryButtons();
+	}
+
+	// Name for the next recorded step; without one it is described from the diff
+	const labelNextChange = (label) => { nextLabel = label; };
+
+	function recordChange(name) {
+		if (!touched.size) queueMicrotask(flushHistory);
+		touched.add(name);
+	}
+
+	const parseStates = (map) => Object.fromEntries(Object.entries(map).map(([name, json]) => [name, JSON.parse(json)]));
+	const changeTarget = (c) => `${c.collection}|${c.key}`;
+
+	function flushHistory() {
+		const before = {};
+		const after = {};
+		touched.forEach((name) => {
+			const json = JSON.stringify(HISTORY_STATE[name].get());
+			if (json === historyBase[name]) return;
+			before[name] = historyBase[name];
+			after[name] = json;
+			historyBase[name] = json;
+		});
+		touched.clear();
+		const label = nextLabel;
+		nextLabel = null;
+		if (!Object.keys(after).length) return;
+		const changes = diffState(parseStates(before), parseStates(after));
+		// Reordering alone (e.g. sorting in place) is not a change worth a step
+		if (!changes.length) return;
+		const now = Date.now();
+
+		const top = undoStack[undoStack.length - 1];
+		const sameTargets = top && !top.label && !label && now - top.ts < HISTORY_MERGE_MS
+			&& changes.every((c) => c.kind === 'changed')
+			&& changes.map(changeTarget).sort().join() === top.changes.map(changeTarget).sort().join();
+		if (sameTargets) {
+			top.after = { ...top.after, ...after };
+			top.changes = diffState(parseStates(top.before), parseStates(top.after));
+			top.ts = now;
+			auditLog[auditLog.length - 1] = auditEntry(top.action, top.changes, now);
+			saveAudit();
+			updateHistoryButtons();
+			return;
+		}
+
+		const action = label || describeChanges(changes);
+		undoStack.push({ ts: now, action, label, before, after, changes });
+		if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+		redoStack = [];
+		logAudit(action, changes);
+		updateHistoryButtons();
+	}
+
+	const auditEntry = (action, changes, ts = Date.now()) => ({
+		ts,
+		action,
+		changes: changes.slice(0, AUDIT_CHANGES_LIMIT),
+		total: changes.length,
+	});
+
+	function logAudit(action, changes) {
+		auditLog.push(auditEntry(action, changes));
+		if (auditLog.length > AUDIT_LIMIT) auditLog.splice(0, auditLog.length - AUDIT_LIMIT);
+		saveAudit();
+	}
+
+	// Restores collections without recording a new step
+	function applyHistoryState(map) {
+		Object.entries(map).forEach(([name, json]) => {
+			const value = JSON.parse(json);
+			HISTORY_STATE[name].set(value);
+			invalidateIndexes(name);
+			storage.set(storageKey(name), value);
+			historyBase[name] = json;
+		});
+		scheduleAlertCheck();
+		refreshPurchaseSymbols();
+		setActiveTab(ui.active || 'etfs');
+	}
+
+	const invertChanges = (changes) => changes.map((c) => ({
+		...c,
+		kind: c.kind === 'added' ? 'removed' : c.kind === 'removed' ? 'added' : 'changed',
+		before: c.after,
+		after: c.before,
+	}));
+
+	function undo() {
+		// Saves from the current tick become their own step first
+		if (touched.size) flushHistory();
+		const step = undoStack.pop();
+		if (!step) return;
+		redoStack.push(step);
+		applyHistoryState(step.before);
+		logAudit(`↶ Скасовано: ${step.action}`, invertChanges(step.changes));
+		updateHistoryButtons();
+	}
+
+	function redo() {
+		const step = redoStack.pop();
+		if (!step) return;
+		undoStack.push(step);
+		applyHistoryState(step.after);
+		logAudit(`↷ Повторено: ${step.action}`, step.changes);
+		updateHistoryButtons();
+	}
+
+	function updateHistoryButtons() {
+		const undoBtn = $('#btn-undo');
+		const redoBtn = $('#btn-redo');
+		if (!undoBtn || !redoBtn) return;
+		const u = undoStack[undoStack.length - 1];
+		const r = redoStack[redoStack.length - 1];
+		undoBtn.disabled = !u;
+		redoBtn.disabled = !r;
+		undoBtn.title = u ? `Скасувати: ${u.action} (Ctrl+Z)` : 'Нічого скасовувати';
+		redoBtn.title = r ? `Повторити: ${r.action} (Ctrl+Shift+Z)` : 'Нічого повторювати';
+	}
+
+	// ---------- Sync between devices ----------
+	// Optional: the records of the data keys are exchanged with a sync endpoint (server.js serves one at /api/sync).
+	// A change carries the time it was made; when both sides changed the same record since the last sync, the newer
+	// version wins and the other is kept as a conflict that can be restored.
+	const SYNC_BASES = [LS_KEYS.etfs, LS_KEYS.fx, LS_KEYS.portfolios, ...PORTFOLIO_COLLECTIONS.map((name) => LS_KEYS[name])];
+	const SYNC_DELAY_MS = 2000; // after a local save
+	const SYNC_INTERVAL_MS = 60 * 1000;
+	const SYNC_CONFLICTS_LIMIT = 100;
+	const isSyncedKey = (key) => SYNC_BASES.includes(key.split(':')[0]);
+	const syncRecordKey = (key, id) => JSON.stringify([key, id]);
+	// FNV-1a; the base only needs to notice that a record changed
+	const hashJson = (json) => {
+		let h = 2166136261;
+		for (let i = 0; i < json.length; i++) h = Math.imul(h ^ json.charCodeAt(i), 16777619);
+		return (h >>> 0).toString(36);
+	};
+
+	let syncState; // { url, device, seq, lastSync?, base: {[key]: {[id]: hash}}, conflicts: [{ at, key, id, kept:'mine'|'theirs', other, device }] }
+	let syncTimer = null;
+
+	function readSyncState() {
+		const saved = storage.get(LS_KEYS.sync, {});
+		return {
+			url: '',
+			seq: 0,
+			base: {},
+			conflicts: [],
+			...saved,
+			device: saved.device || `dev_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+		};
+	}
+	const saveSyncState = () => storage.set(LS_KEYS.sync, syncState);
+
+	// Called by the storage flush: notes when each synced record changed; returns the updated times or null
+	function stampRecordEdits(plans) {
+		if (!syncState?.url) return null;
+		const edited = plans.filter((p) => p.ids.length && isSyncedKey(p.key));
+		if (!edited.length) return null;
+		const times = storage.get(LS_KEYS.syncTimes, {});
+		const now = Date.now();
+		let stamped = false;
+		edited.forEach((p) => {
+			const base = syncState.base[p.key] || {};
+			p.ids.forEach((id) => {
+				// Back to the synced version (e.g. just pulled) is not an edit
+				const json = p.after?.items?.get(id);
+				if (json === undefined ? !(id in base) : base[id] === hashJson(json)) return;
+				times[p.key] = times[p.key] || {};
+				times[p.key][id] = now;
+				stamped = true;
+			});
+		});
+		return stamped ? times : null;
+	}
+
+	function setSyncBase(key, id, value) {
+		syncState.base[key] = syncState.base[key] || {};
+		if (value == null) delete syncState.base[key][id];
+		else syncState.base[key][id] = hashJson(JSON.stringify(value));
+	}
+
+	// Records that differ from the last sync: { key, id, value (null = deleted), ts }
+	function localSyncChanges() {
+		const times = storage.get(LS_KEYS.syncTimes, {});
+		const changes = new Map();
+		const keys = new Set([...storage.keys(), ...Object.keys(syncState.base)].filter(isSyncedKey));
+		keys.forEach((key) => {
+			const list = storage.get(key, []);
+			const { items } = toRecords(key, Array.isArray(list) ? list : []);
+			const base = syncState.base[key] || {};
+			const ts = (id) => times[key]?.[id] || 0;
+			items.forEach((json, id) => {
+				if (base[id] !== hashJson(json)) changes.set(syncRecordKey(key, id), { key, id, value: JSON.parse(json), ts: ts(id) });
+			});
+			Object.keys(base).forEach((id) => {
+				if (!items.has(id)) changes.set(syncRecordKey(key, id), { key, id, value: null, ts: ts(id) });
+			});
+		});
+		return changes;
+	}
+
+	// Puts record versions into the local lists; unless they are a local edit, the base follows.
+	// Returns whether any stored list actually changed.
+	function applySyncRecords(records, localEdit = false) {
+		const byKey = new Map();
+		records.forEach((r) => {
+			if (!byKey.has(r.key)) byKey.set(r.key, []);
+			byKey.get(r.key).push(r);
+		});
+		let changed = false;
+		byKey.forEach((list, key) => {
+			const current = storage.get(key, []);
+			const items = new Map([...toRecords(key, Array.isArray(current) ? current : []).items].map(([id, json]) => [id, JSON.parse(json)]));
+			list.forEach((r) => {
+				if (r.value == null) items.delete(r.id); else items.set(r.id, r.value);
+				if (!localEdit) setSyncBase(key, r.id, r.value);
+			});
+			const next = [...items.values()];
+			if (JSON.stringify(next) === JSON.stringify(current)) return;
+			storage.set(key, next);
+			changed = true;
+		});
+		return changed;
+	}
+
+	function setSyncStatus(text, failed = false) {
+		const btn = $('#btn-sync');
+		if (btn) btn.title = `Синхронізація${text ? `: ${text}` : ''}`;
+		btn?.classList.toggle('text-red-600', failed);
+		const el = $('#dlg-sync [data-role="status"]');
+		if (el) {
+			el.textContent = text;
+			el.classList.toggle('text-red-600', failed);
+		}
+		const badge = $('#sync-badge');
+		if (badge) {
+			badge.textContent = String(syncState.conflicts.length);
+			badge.classList.toggle('hidden', !syncState.conflicts.length);
+		}
+	}
+
+	const describeSyncState = () => (syncState.url
+		? `${syncState.lastSync ? `Остання синхронізація: ${fmtDate(syncState.lastSync)}` : 'Ще не синхронізовано'} · пристрій ${syncState.device}`
+		: 'Синхронізацію вимкнено');
+
+	// Pull, merge, push. A push must build on the latest pull, so if another device got in between, start over.
+	async function syncNow() {
+		clearTimeout(syncTimer);
+		syncTimer = null;
+		syncState = readSyncState();
+		if (!syncState.url) return;
+		const run = async () => {
+			const started = Date.now();
+			setSyncStatus('🔄 синхронізація…');
+			for (let attempt = 0; ; attempt++) {
+				const pulled = await apiRequest('GET', `${syncState.url}?since=${syncState.seq}`);
+				const local = localSyncChanges();
+				const incoming = [];
+				const conflicts = [];
+				pulled.records.forEach((r) => {
+					const k = syncRecordKey(r.key, r.id);
+					const mine = local.get(k);
+					if (!mine) return incoming.push(r);
+					local.delete(k);
+					if (JSON.stringify(mine.value) === JSON.stringify(r.value)) return incoming.push(r);
+					if (mine.ts > r.ts) {
+						local.set(k, mine);
+						conflicts.push({ at: started, key: r.key, id: r.id, kept: 'mine', other: r.value, device: r.device });
+					} else {
+						incoming.push(r);
+						conflicts.push({ at: started, key: r.key, id: r.id, kept: 'theirs', other: mine.value, device: r.device });
+					}
+				});
+				const outgoing = [...local.values()];
+				let seq = pulled.seq;
+				if (outgoing.length) {
+					try {
+						({ seq } = await apiRequest('POST', syncState.url, { since: pulled.seq, device: syncState.device, changes: outgoing }));
+					} catch (err) {
+						if (err.status === 409 && attempt < 2) continue;
+						throw err;
+					}
+				}
+				const changed = applySyncRecords(incoming);
+				outgoing.forEach((c) => setSyncBase(c.key, c.id, c.value));
+				syncState.seq = seq;
+				syncState.lastSync = Date.now();
+				syncState.conflicts = [...conflicts, ...syncState.conflicts].slice(0, SYNC_CONFLICTS_LIMIT);
+				saveSyncState();
+				// Times only matter until a change is synced; edits made while syncing keep theirs
+				const times = storage.get(LS_KEYS.syncTimes, {});
+				Object.values(times).forEach((byId) => Object.keys(byId).forEach((id) => { if (byId[id] <= started) delete byId[id]; }));
+				storage.setLocal(LS_KEYS.syncTimes, times);
+				if (changed) applyExternalChanges();
+				setSyncStatus(conflicts.length ? `⚠️ конфліктів: ${conflicts.length}` : describeSyncState());
+				return;
+			}
+		};
+		try {
+			await (navigator.locks ? navigator.locks.request('sip-sync', run) : run());
+		} catch (err) {
+			console.error(err);
+			setSyncStatus('⚠️ сервер синхронізації недоступний', true);
+		}
+	}
+
+	function scheduleSync(delay) {
+		if (!syncState?.url) return;
+		clearTimeout(syncTimer);
+		syncTimer = setTimeout(syncNow, delay);
+	}
+
+	function openSync() {
+		const dlg = $('#dlg-sync');
+		const urlEl = $('[data-input="url"]', dlg);
+		const listEl = $('[data-role="conflicts"]', dlg);
+		const keyCollection = (key) => Object.keys(LS_KEYS).find((name) => LS_KEYS[name] === key.split(':')[0]);
+		const describeRecord = (key, value, id) => {
+			const collection = keyCollection(key);
+			const portfolio = PORTFOLIO_COLLECTIONS.includes(collection) ? portfolios.find((p) => p.id === (key.split(':')[1] || DEFAULT_PORTFOLIO)) : null;
+			const what = value == null ? `${id} (видалено)` : (describeItem(collection, value) || value.name || id);
+			return `${COLLECTION_LABELS[collection] || 'Портфелі'}${portfolio ? ` («${portfolio.name}»)` : ''}: ${what}`;
+		};
+
+		function render() {
+			urlEl.value = syncState.url || new URL('./api/sync', location.href).href;
+			listEl.innerHTML = '';
+			$('[data-role="empty"]', dlg).classList.toggle('hidden', syncState.conflicts.length > 0);
+			syncState.conflicts.forEach((c, i) => {
+				const li = document.createElement('li');
+				li.className = 'flex items-center justify-between gap-3 p-2 rounded-md bg-amber-50 dark:bg-amber-900/20';
+				const text = document.createElement('div');
+				const title = document.createElement('div');
+				title.className = 'font-medium';
+				title.textContent = `${fmtDate(c.at)} · ${c.kept === 'mine' ? 'залишено версію цього пристрою' : `прийнято версію з ${c.device || 'іншого пристрою'}`}`;
+				const details = document.createElement('div');
+				details.className = 'text-xs';
+				details.textContent = `Інша версія — ${describeRecord(c.key, c.other, c.id)}`;
+				text.append(title, details);
+				const actions = document.createElement('div');
+				actions.className = 'flex gap-1 shrink-0';
+				const restore = document.createElement('button');
+				restore.type = 'button';
+				restore.className = 'px-2 py-1 rounded-md bg-slate-100 hover:bg-slate-200 dark:bg-slate-800 dark:hover:bg-slate-700 text-xs';
+				restore.textContent = '↩️ Відновити';
+				restore.title = 'Повернути іншу версію; на інші пристрої вона піде з наступною синхронізацією';
+				restore.onclick = () => {
+					applySyncRecords([{ key: c.key, id: c.id, value: c.other }], true);
+					dismiss(i);
+					applyExternalChanges();
+				};
+				const ok = document.createElement('button');
+				ok.type = 'button';
+				ok.className = restore.className;
+				ok.textContent = '✓';
+				ok.title = 'Залишити як є';
+				ok.onclick = () => dismiss(i);
+				actions.append(restore, ok);
+				li.append(text, actions);
+				listEl.appendChild(li);
+			});
+			setSyncStatus(describeSyncState());
+		}
+
+		function dismiss(i) {
+			syncState.conflicts.splice(i, 1);
+			saveSyncState();
+			render();
+		}
+
+		$('[data-action="save"]', dlg).onclick = async () => {
+			const url = urlEl.value.trim();
+			if (!/^https?:\/\//i.test(url)) return alert('Вкажіть адресу http(s)://…');
+			// Another endpoint has its own log, so everything is compared afresh
+			if (url !== syncState.url) {
+				Object.assign(syncState, { url, seq: 0, base: {}, lastSync: null });
+				// Joining a log that already has data: the data here (e.g. the demo set) can be dropped instead of merged
+				const remote = await apiRequest('GET', `${url}?since=0`).catch(() => null);
+				if (remote?.records.length && confirm('На сервері вже є дані. Замінити ними дані цього пристрою?\n«Скасувати» — об’єднати їх.')) {
+					storage.keys().filter(isSyncedKey).forEach((key) => storage.remove(key));
+				}
+			}
+			saveSyncState();
+			await syncNow();
+			render();
+		};
+		$('[data-action="sync"]', dlg).onclick = async () => {
+			await syncNow();
+			render();
+		};
+		$('[data-action="disable"]', dlg).onclick = () => {
+			if (!syncState.url || !confirm('Вимкнути синхронізацію? Дані на цьому пристрої залишаться.')) return;
+			Object.assign(syncState, { url: '', seq: 0, base: {}, lastSync: null });
+			saveSyncState();
+			storage.remove(LS_KEYS.syncTimes);
+			render();
+		};
+		$('[data-action="clear"]', dlg).onclick = () => {
+			syncState.conflicts = [];
+			saveSyncState();
+			render();
+		};
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		render();
+		dlg.showModal();
+	}
+
+		// ---------- Export / Import / Reset ----------
+		// One portfolio plus the shared ETFs and FX; also the document format of server.js's data file
+		function buildExport(id = ui.portfolio) {
+			const { name } = portfolios.find((p) => p.id === id) || {};
+			return {
+				$schema: `${SCHEMA_ID}.v${SCHEMA_VERSION}`,
+				exportedAt: new Date().toISOString(),
+				portfolio: { id, name },
+				etfs,
+				...readPortfolio(id),
+				fx,
+				ui,
+			};
+		}
+
+		function buildWorkspaceExport() {
+			return {
+				$schema: `${SCHEMA_ID}.v${SCHEMA_VERSION}`,
+				exportedAt: new Date().toISOString(),
+				etfs,
+				fx,
+				portfolios: portfolios.map((p) => ({ ...p, ...readPortfolio(p.id) })),
+				ui,
+			};
+		}
+
+		// Exports what is selected in the header: one portfolio, or the whole workspace from "all portfolios".
+		// With a passphrase the file is encrypted.
+		async function exportAll(passphrase) {
+			const data = isConsolidated() ? buildWorkspaceExport() : buildExport();
+			const name = `${isConsolidated() ? 'workspace' : 'portfolio'}-export-${fileStamp()}`;
+			const json = JSON.stringify(data, null, 2);
+			if (!passphrase) return downloadFile(`${name}.json`, json, 'application/json');
+			downloadFile(`${name}.encrypted.json`, JSON.stringify(await encryptText(json, passphrase), null, 2), 'application/json');
+		}
+
+		function openExport() {
+			const dlg = $('#dlg-export');
+			const encryptEl = $('[data-input="encrypt"]', dlg);
+			const passEl = $('[data-input="passphrase"]', dlg);
+			const repeatEl = $('[data-input="repeat"]', dlg);
+			const errorEl = $('[data-role="error"]', dlg);
+			const downloadBtn = $('[data-action="download"]', dlg);
+			const current = portfolios.find((p) => p.id === ui.portfolio);
+			$('[data-field="scope"]', dlg).textContent = isConsolidated() ? 'увесь робочий простір (усі портфелі)' : `портфель «${current?.name || ui.portfolio}»`;
+			// Web Crypto exists only in secure contexts (https, localhost)
+			encryptEl.disabled = !canEncrypt();
+			encryptEl.checked = false;
+			encryptEl.closest('label').title = canEncrypt() ? '' : 'Шифрування доступне лише через https або localhost';
+			passEl.value = '';
+			repeatEl.value = '';
+			errorEl.textContent = '';
+			const toggle = () => $('[data-role="passphrase"]', dlg).classList.toggle('hidden', !encryptEl.checked);
+			encryptEl.onchange = toggle;
+			toggle();
+
+			$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+			downloadBtn.onclick = async () => {
+				errorEl.textContent = '';
+				if (encryptEl.checked) {
+					if (passEl.value.length < 8) return void (errorEl.textContent = 'Пароль має містити щонайменше 8 символів.');
+					if (passEl.value !== repeatEl.value) return void (errorEl.textContent = 'Паролі не збігаються.');
+				}
+				downloadBtn.disabled = true;
+				try {
+					await exportAll(encryptEl.checked ? passEl.value : '');
+					dlg.close();
+				} catch (err) {
+					console.error(err);
+					errorEl.textContent = `Не вдалося зашифрувати: ${err.message}`;
+				} finally {
+					downloadBtn.disabled = false;
+				}
+			};
+			dlg.showModal();
+		}
+
+			function importAll(file) {
+			const reader = new FileReader();
+			reader.onload = () => {
+				let data;
+				try {
+					data = JSON.parse(reader.result);
+				} catch (err) {
+					alert('Не вдалося прочитати файл: це не JSON.');
+					return;
+				}
+				if (isEncryptedFile(data)) openDecrypt(data, file.name);
+				else openImport(data, file.name);
+			};
+			reader.readAsText(file);
+		}
+
+		// Asks for the passphrase of an encrypted export, then continues with the usual import preview
+		function openDecrypt(file, fileName) {
+			const dlg = $('#dlg-decrypt');
+			const passEl = $('[data-input="passphrase"]', dlg);
+			const errorEl = $('[data-role="error"]', dlg);
+			const decryptBtn = $('[data-action="decrypt"]', dlg);
+			$('[data-field="file"]', dlg).textContent = fileName;
+			passEl.value = '';
+			errorEl.textContent = canEncrypt() ? '' : 'Розшифрування доступне лише через https або localhost.';
+			decryptBtn.disabled = !canEncrypt();
+
+			const decrypt = async () => {
+				if (decryptBtn.disabled || !passEl.value) return;
+				errorEl.textContent = '';
+				decryptBtn.disabled = true;
+				let data;
+				try {
+					data = JSON.parse(await decryptText(file, passEl.value));
+				} catch (err) {
+					console.warn(err);
+					errorEl.textContent = err.name === 'OperationError' ? 'Невірний пароль або файл пошкоджено.' : `Не вдалося розшифрувати: ${err.message}`;
+					passEl.select();
+					return;
+				} finally {
+					decryptBtn.disabled = false;
+				}
+				dlg.close();
+				openImport(data, fileName);
+			};
+			passEl.onkeydown = (e) => {
+				if (e.key !== 'Enter') return;
+				e.preventDefault();
+				decrypt();
+			};
+			decryptBtn.onclick = decrypt;
+			$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+			dlg.showModal();
+			passEl.focus();
+		}
+
+		// Validation errors, or a diff preview of replace/merge before anything is written.
+		// Portfolio files go into the current or a new portfolio; workspace files cover every portfolio.
+		function openImport(raw, fileName) {
+			const dlg = $('#dlg-import');
+			const modeEl = $('[data-input="mode"]', dlg);
+			const targetEl = $('[data-input="target"]', dlg);
+			const uiEl = $('[data-input="ui"]', dlg);
+			const errorsEl = $('[data-role="errors"]', dlg);
+			const diffEl = $('[data-role="diff"]', dlg);
+			const summaryEl = $('[data-role="summary"]', dlg);
+			const applyBtn = $('[data-action="apply"]', dlg);
+			$('[data-field="file"]', dlg).textContent = fileName;
+
+			let data = null;
+			let errors;
+			const warnings = [];
+			try {
+				data = migrateData(raw);
+				errors = validateData(data, warnings);
+			} catch (err) {
+				errors = [err.message];
+			}
+			const version = data ? schemaVersion(raw) : null;
+			$('[data-field="schema"]', dlg).textContent = version != null
+				? (version < SCHEMA_VERSION ? `v${version} → v${SCHEMA_VERSION}` : `v${version}`)
+				: '—';
+			const workspace = Array.isArray(data?.portfolios);
+
+			const fillList = (el, messages, note = '') => {
+				el.innerHTML = '';
+				[...(note ? [note] : []), ...messages.slice(0, 100)].forEach((msg, i) => {
+					const li = document.createElement('li');
+					li.textContent = msg;
+					if (note && !i) li.className = 'list-none -ml-5';
+					el.appendChild(li);
+				});
+				if (messages.length > 100) {
+					const li = document.createElement('li');
+					li.textContent = `…і ще ${messages.length - 100}`;
+					el.appendChild(li);
+				}
+				el.classList.toggle('hidden', !messages.length);
+			};
+			fillList(errorsEl, errors);
+			fillList($('[data-role="warnings"]', dlg), errors.length ? [] : warnings, 'Записи видалених ETF будуть імпортовані й позначені, як і зараз у застосунку:');
+			$('[data-role="options"]', dlg).classList.toggle('hidden', !!errors.length);
+			applyBtn.disabled = !!errors.length;
+
+			const newName = data?.portfolio?.name || fileName.replace(/\.json$/i, '');
+			targetEl.innerHTML = workspace
+				? '<option value="workspace">Увесь робочий простір</option>'
+				: `${isConsolidated() ? '' : '<option value="current">Поточний портфель</option>'}<option value="new"></option>`;
+			if (!workspace) targetEl.querySelector('[value="new"]').textContent = `Новий портфель «${newName}»`;
+			targetEl.disabled = workspace;
+
+			const emptyPortfolio = () => Object.fromEntries(PORTFOLIO_COLLECTIONS.map((k) => [k, []]));
+			const pickPortfolio = (src) => Object.fromEntries(PORTFOLIO_COLLECTIONS.map((k) => [k, src[k] || []]));
+
+			function buildNext() {
+				const merging = modeEl.value === 'merge';
+				if (!workspace) {
+					const base = targetEl.value === 'new' ? currentData({ etfs, fx, ...emptyPortfolio() }) : currentData();
+					if (merging) return { base, next: mergeData(base, data) };
+					// ETFs and rates are shared with the other portfolios: replacing one portfolio only adds to them
+					const shared = mergeData({ etfs: base.etfs, fx: base.fx }, { etfs: data.etfs, fx: data.fx });
+					return { base, next: { ...currentData(data), ...shared } };
+				}
+				const base = { etfs, fx, portfolios: portfolios.map((p) => ({ ...p, ...readPortfolio(p.id) })) };
+				if (!merging) return { base, next: { etfs: data.etfs, fx: data.fx, portfolios: data.portfolios } };
+				const shared = mergeData({ etfs, fx }, { etfs: data.etfs, fx: data.fx });
+				const merged = base.portfolios.map((p) => {
+					const incoming = data.portfolios.find((x) => x.id === p.id);
+					return incoming ? { ...p, ...mergeData(pickPortfolio(p), pickPortfolio(incoming)) } : p;
+				});
+				data.portfolios.forEach((p) => { if (!merged.some((x) => x.id === p.id)) merged.push(p); });
+				return { base, next: { ...shared, portfolios: merged } };
+			}
+
+			// Workspace changes are grouped per portfolio
+			function collectChanges() {
+				const { base, next } = buildNext();
+				if (!workspace) return diffState(base, next);
+				const changes = diffState({ etfs: base.etfs, fx: base.fx }, { etfs: next.etfs, fx: next.fx });
+				const ids = [...new Set([...base.portfolios, ...next.portfolios].map((p) => p.id))];
+				ids.forEach((id) => {
+					const a = base.portfolios.find((p) => p.id === id);
+					const b = next.portfolios.find((p) => p.id === id);
+					const group = (b || a).name || id;
+					diffState(pickPortfolio(a || {}), pickPortfolio(b || {})).forEach((c) => changes.push({ ...c, group }));
+				});
+				return changes;
+			}
+
+			function renderDiff() {
+				diffEl.innerHTML = '';
+				if (errors.length) {
+					summaryEl.textContent = `Знайдено помилок: ${errors.length}. Нічого не змінено.`;
+					return;
+				}
+				const changes = collectChanges();
+				const groups = new Map();
+				changes.forEach((c) => {
+					const label = c.group ? `${COLLECTION_LABELS[c.collection]} · ${c.group}` : COLLECTION_LABELS[c.collection];
+					if (!groups.has(label)) groups.set(label, []);
+					groups.get(label).push(c);
+				});
+				summaryEl.textContent = !changes.length
+					? 'Імпорт нічого не змінить.'
+					: workspace ? 'Зміни після імпорту (імпорт робочого простору не можна скасувати кнопкою ↶):' : 'Зміни після імпорту:';
+				groups.forEach((list, label) => {
+					const c = countChanges(list)[list[0].collection];
+					const tr = document.createElement('tr');
+					tr.className = 'border-t border-slate-200 dark:border-slate-800';
+					const samples = list.slice(0, 3).map((x) => `${KIND_SIGNS[x.kind]} ${describeItem(x.collection, x.after || x.before)}`).join('; ');
+					[label, `+${c.added}`, `−${c.removed}`, `~${c.changed}`, samples].forEach((text, i) => {
+						const td = document.createElement('td');
+						td.className = 'py-1 pr-2';
+						td.textContent = text;
+						if (i === 1 && c.added) td.classList.add('text-emerald-600');
+						if (i === 2 && c.removed) td.classList.add('text-red-600');
+						if (i === 3 && c.changed) td.classList.add('text-amber-600');
+						tr.appendChild(td);
+					});
+					diffEl.appendChild(tr);
+				});
+			}
+			modeEl.value = 'replace';
+			uiEl.checked = false;
+			modeEl.onchange = renderDiff;
+			targetEl.onchange = renderDiff;
+			renderDiff();
+
+			function applyUi() {
+				if (!uiEl.checked || !data.ui) return;
+				ui = { ...data.ui, active: ui.active, portfolio: ui.portfolio };
+				if (!Array.isArray(ui.expandedEtfs)) ui.expandedEtfs = [];
+				if (!ui.costMethod) ui.costMethod = 'fifo';
+				if (!CURRENCIES[ui.baseCurrency]) ui.baseCurrency = 'EUR';
+				saveUi();
+			}
+
+			$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+			applyBtn.onclick = () => {
+				if (errors.length) return;
+				createBackup('import');
+				const { next } = buildNext();
+				const how = modeEl.value === 'merge' ? "об'єднання" : 'заміна';
+				if (workspace) {
+					// Portfolios are written straight to storage; the new state becomes the history baseline
+					const keep = new Set(next.portfolios.map((p) => p.id));
+					portfolios.filter((p) => !keep.has(p.id)).forEach((p) => {
+						PORTFOLIO_COLLECTIONS.forEach((name) => storage.remove(portfolioKey(LS_KEYS[name], p.id)));
+					});
+					next.portfolios.forEach((p) => {
+						PORTFOLIO_COLLECTIONS.forEach((name) => storage.set(portfolioKey(LS_KEYS[name], p.id), p[name] || []));
+					});
+					portfolios = next.portfolios.map(({ id, name }) => ({ id, name: name || id }));
+					savePortfolios();
+					storage.set(LS_KEYS.etfs, next.etfs);
+					storage.set(LS_KEYS.fx, next.fx);
+					applyUi();
+					reloadState();
+					logAudit(`Імпорт робочого простору (${how}): ${fileName}`, []);
+				} else {
+					if (targetEl.value === 'new') {
+						const id = `pf_${Date.now()}`;
+						portfolios.push({ id, name: newName });
+						savePortfolios();
+						ui.portfolio = id;
+						saveUi();
+						reloadState();
+					}
+					labelNextChange(`Імпорт (${how}): ${fileName}`);
+					({ etfs, purchases, cash, fx, plans, goals, alerts } = next);
+					applyUi();
+					saveEtfs(); savePurchases(); saveGoals(); saveCash(); saveFx(); savePlans(); saveAlerts();
+				}
+				dlg.close();
+				renderPortfolioSwitcher();
+				refreshPurchaseSymbols();
+				setActiveTab(ui.active || 'etfs');
+				alert('Імпорт виконано успішно');
+			};
+			dlg.showModal();
+		}
+
+			function resetAll() {
+			const others = portfolios.filter((p) => p.id !== DEFAULT_PORTFOLIO);
+			const message = others.length
+				? `Скинути всі дані? Портфелі ${others.map((p) => `«${p.name}»`).join(', ')} буде видалено остаточно; решту можна повернути кнопкою ↶ або Ctrl+Z.`
+				: 'Скинути всі дані? Скасувати можна кнопкою ↶ або Ctrl+Z.';
+			if (!confirm(message)) return;
+			createBackup('reset');
+			others.forEach((p) => [...PORTFOLIO_COLLECTIONS, 'alertState'].forEach((name) => storage.remove(portfolioKey(LS_KEYS[name], p.id))));
+			portfolios = portfolios.filter((p) => p.id === DEFAULT_PORTFOLIO);
+			savePortfolios();
+			if (ui.portfolio !== DEFAULT_PORTFOLIO) {
+				ui.portfolio = DEFAULT_PORTFOLIO;
+				saveUi();
+				reloadState();
+			}
+			labelNextChange('Скидання даних');
+			etfs = [];
+			purchases = [];
+			goals = [];
+			cash = [];
+			fx = [];
+			plans = [];
+			alerts = [];
+			ui = { active: 'etfs', expandedEtfs: [], costMethod: 'fifo', baseCurrency: 'EUR', portfolio: DEFAULT_PORTFOLIO };
+			saveEtfs(); savePurchases(); saveGoals(); saveCash(); saveFx(); savePlans(); saveAlerts(); saveUi();
+			renderPortfolioSwitcher();
+			refreshPurchaseSymbols();
+			setActiveTab('etfs');
+		}
+
+	// ---------- Encryption ----------
+	// AES-GCM with a key derived from the passphrase (PBKDF2, SHA-256). The file keeps the parameters next to the
+	// ciphertext, so they can be raised later without breaking older files.
+	const PBKDF2_ITERATIONS = 600000;
+	const canEncrypt = () => !!window.crypto?.subtle;
+	const isEncryptedFile = (data) => data?.$schema === `${SCHEMA_ID}.encrypted`;
+
+	const toBase64 = (bytes) => {
+		let text = '';
+		// In chunks: spreading a large array into fromCharCode overflows the stack
+		for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+		return btoa(text);
+	};
+	const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+	async function deriveKey(passphrase, { salt, iterations, hash }) {
+		const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+		return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+	}
+
+	async function encryptText(text, passphrase) {
+		const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: crypto.getRandomValues(new Uint8Array(16)) };
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		const key = await deriveKey(passphrase, kdf);
+		const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+		return {
+			$schema: `${SCHEMA_ID}.encrypted`,
+			exportedAt: new Date().toISOString(),
+			kdf: { ...kdf, salt: toBase64(kdf.salt) },
+			cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+			data: toBase64(new Uint8Array(data)),
+		};
+	}
+
+	// A wrong passphrase and a damaged file both fail the AES-GCM tag check (OperationError)
+	async function decryptText(file, passphrase) {
+		const { kdf, cipher } = file;
+		if (kdf?.name !== 'PBKDF2' || cipher?.name !== 'AES-GCM') throw new Error('невідомий спосіб шифрування');
+		const key = await deriveKey(passphrase, { ...kdf, salt: fromBase64(kdf.salt) });
+		const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(cipher.iv) }, key, fromBase64(file.data));
+		return new TextDecoder().decode(plain);
+	}
+
+	// ---------- Backups ----------
+	// Rolling snapshots of the whole workspace in browser storage, newest first: on a schedule while the app is open,
+	// before an import or reset, and on demand. A snapshot is skipped when nothing changed since the last one.
+	const BACKUP_REASONS = { auto: 'автоматично', manual: 'вручну', import: 'перед імпортом', reset: 'перед скиданням' };
+	const BACKUP_INTERVALS = [0, 1, 6, 24, 168]; // hours, 0 = only before imports/resets and on demand
+	const BACKUP_CHECK_MS = 10 * 60 * 1000;
+	// localStorage holds ~5 MB for the whole site, IndexedDB far more
+	const backupBudget = () => (storage.usesDatabase() ? 50e6 : 2e6);
+
+	const readBackups = () => readList(LS_KEYS.backups);
+	function backupSettings() {
+		const saved = storage.get(LS_KEYS.backupSettings, {});
+		return {
+			keep: Math.min(50, Math.max(1, Math.round(saved.keep) || 10)),
+			interval: BACKUP_INTERVALS.includes(saved.interval) ? saved.interval : 24,
+		};
+	}
+
+	// Only the data counts: UI settings (open tab etc.) are left out, and so is the order of items,
+	// since tables sort the lists in place
+	function backupFingerprint(data) {
+		const lists = [data.etfs, data.fx, ...data.portfolios.flatMap((p) => [[p.id, p.name], ...PORTFOLIO_COLLECTIONS.map((name) => p[name])])];
+		return hashJson(lists.map((list) => list.map((item) => JSON.stringify(item)).sort().join('\n')).join('\n\n'));
+	}
+
+	// Keeps the newest `keep` snapshots that fit the budget; returns 'created', 'unchanged' or 'too-large'
+	function createBackup(reason) {
+		const data = buildWorkspaceExport();
+		const hash = backupFingerprint(data);
+		const list = readBackups();
+		if (list[0]?.hash === hash) return 'unchanged';
+		const size = JSON.stringify(data).length;
+		const budget = backupBudget();
+		if (size > budget) {
+			console.warn(`Backup skipped: ${size} characters exceed the browser storage budget`);
+			return 'too-large';
+		}
+		const { keep } = backupSettings();
+		let total = 0;
+		const next = [{ id: `bk_${Date.now()}`, ts: Date.now(), reason, hash, size, data }, ...list]
+			.filter((b, i) => i < keep && (total += b.size || 0) <= budget);
+		storage.set(LS_KEYS.backups, next);
+		return 'created';
+	}
+
+	function autoBackup() {
+		const { interval } = backupSettings();
+		const last = readBackups()[0];
+		if (!interval || (last && Date.now() - last.ts < interval * 3600 * 1000)) return;
+		createBackup('auto');
+	}
+
+	function openBackups() {
+		const dlg = $('#dlg-backups');
+		const keepEl = $('[data-input="keep"]', dlg);
+		const intervalEl = $('[data-input="interval"]', dlg);
+		const listEl = $('[data-role="list"]', dlg);
+		const describeBackup = (b) => {
+			const list = b.data.portfolios || [];
+			const count = (name) => list.reduce((sum, p) => sum + (p[name]?.length || 0), 0);
+			return `ETF: ${b.data.etfs?.length || 0} · портфелів: ${list.length} · операцій: ${count('purchases')} · записів рахунку: ${count('cash')} · ${(b.size / 1024).toFixed(0)} КБ`;
+		};
+
+		function render() {
+			const settings = backupSettings();
+			keepEl.value = settings.keep;
+			intervalEl.value = String(settings.interval);
+			const list = readBackups();
+			$('[data-role="empty"]', dlg).classList.toggle('hidden', list.length > 0);
+			listEl.innerHTML = '';
+			list.forEach((b) => {
+				const li = document.createElement('li');
+				li.className = 'flex items-center justify-between gap-3 p-2 rounded-md bg-slate-50 dark:bg-slate-800/50';
+				const text = document.createElement('div');
+				const title = document.createElement('div');
+				title.className = 'font-medium';
+				title.textContent = `${fmtDate(b.ts)} · ${BACKUP_REASONS[b.reason] || b.reason}`;
+				const details = document.createElement('div');
+				details.className = 'text-xs text-slate-500';
+				details.textContent = describeBackup(b);
+				text.append(title, details);
+				const actions = document.createElement('div');
+				actions.className = 'flex gap-1 shrink-0';
+				const button = (label, hint, onclick) => {
+					const btn = document.createElement('button');
+					btn.type = 'button';
+					btn.className = 'px-2 py-1 rounded-md bg-slate-100 hover:bg-slate-200 dark:bg-slate-800 dark:hover:bg-slate-700 text-xs';
+					btn.textContent = label;
+					btn.title = hint;
+					btn.onclick = onclick;
+					actions.appendChild(btn);
+				};
+				// Goes through the import preview, which also snapshots the current state first
+				button('↩️ Відновити', 'Переглянути зміни й відновити', () => {
+					dlg.close();
+					openImport(b.data, `Резервна копія ${fmtDate(b.ts)}`);
+				});
+				button('⬇️', 'Завантажити як файл експорту', () => downloadFile(`workspace-backup-${new Date(b.ts).toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`, JSON.stringify(b.data, null, 2), 'application/json'));
+				button('🗑️', 'Видалити копію', () => {
+					storage.set(LS_KEYS.backups, readBackups().filter((x) => x.id !== b.id));
+					render();
+				});
+				li.append(text, actions);
+				listEl.appendChild(li);
+			});
+		}
+
+		const saveSettings = () => {
+			storage.set(LS_KEYS.backupSettings, { keep: +keepEl.value, interval: +intervalEl.value });
+			const { keep } = backupSettings();
+			const list = readBackups();
+			if (list.length > keep) storage.set(LS_KEYS.backups, list.slice(0, keep));
+			render();
+		};
+		keepEl.onchange = saveSettings;
+		intervalEl.onchange = saveSettings;
+		$('[data-action="create"]', dlg).onclick = () => {
+			const result = createBackup('manual');
+			if (result === 'unchanged') alert('Дані не змінилися з останньої копії.');
+			if (result === 'too-large') alert('Копія завелика для сховища цього браузера.');
+			render();
+		};
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		render();
+		dlg.showModal();
+	}
+
+	// ---------- Schema: versions, validation, diff and merge ----------
+	const SCHEMA_ID = 'simple-investor-portfolio';
+	const SCHEMA_VERSION = 4;
+	const DATA_COLLECTIONS = ['etfs', 'purchases', 'cash', 'fx', 'plans', 'goals', 'alerts'];
+
+	// Files without $schema predate versioning (including default-data.json) and are read as v1
+	function schemaVersion(data) {
+		if (data.$schema == null) return 1;
+		const m = String(data.$schema).match(/^simple-investor-portfolio\.v(\d+)$/);
+		if (!m) throw new Error(`Невідомий формат файлу: ${data.$schema}`);
+		return +m[1];
+	}
+
+	// MIGRATIONS[n] turns a vN document into vN+1; a file is walked up the chain to SCHEMA_VERSION
+	const MIGRATIONS = {
+		// v2: every collection present, trade side and ETF currency explicit
+		1: (d) => ({
+			...d,
+			etfs: (Array.isArray(d.etfs) ? d.etfs : []).map((e) => ({ currency: 'EUR', ...e, prices: Array.isArray(e?.prices) ? e.prices : [] })),
+			purchases: (Array.isArray(d.purchases) ? d.purchases : []).map((p) => ({ ...p, side: p?.side === 'sell' ? 'sell' : 'buy' })),
+			cash: Array.isArray(d.cash) ? d.cash : [],
+			fx: Array.isArray(d.fx) ? d.fx : [],
+			plans: Array.isArray(d.plans) ? d.plans : [],
+			goals: Array.isArray(d.goals) ? d.goals : [],
+		}),
+		// v3: files may name their `portfolio`, and workspace files carry `portfolios` instead of flat collections
+		2: (d) => d,
+		// v4: alert rules per portfolio
+		3: (d) => {
+			const withAlerts = (src) => ({ ...src, alerts: Array.isArray(src?.alerts) ? src.alerts : [] });
+			return Array.isArray(d.portfolios) ? { ...d, portfolios: d.portfolios.map(withAlerts) } : withAlerts(d);
+		},
+	};
+
+	function migrateData(data) {
+		if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Файл не містить об\'єкта з даними');
+		let version = schemaVersion(data);
+		if (version > SCHEMA_VERSION) throw new Error(`Файл створено новішою версією застосунку (v${version}), підтримується до v${SCHEMA_VERSION}`);
+		let out = data;
+		while (version < SCHEMA_VERSION) {
+			out = MIGRATIONS[version](out);
+			version++;
+		}
+		return { ...out, $schema: `${SCHEMA_ID}.v${SCHEMA_VERSION}` };
+	}
+
+	// Readable list of everything wrong with a (migrated) document; empty means it is safe to load
+	// Errors block the import. Records of ETFs that aren't in the file only produce warnings: deleting an ETF
+	// keeps its operations on purpose, so the app's own exports and backups may contain them.
+	function validateData(d, warnings = []) {
+		const errors = [];
+		const isTs = (v) => Number.isFinite(v) && v > 0 && v < 4102444800000; // up to year 2100
+		const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(parseLocalDate(v));
+		const num = (v) => typeof v === 'number' && isFinite(v);
+		const list = (src, name, prefix = '') => {
+			if (Array.isArray(src[name])) return src[name];
+			errors.push(`${prefix}${name}: має бути масивом`);
+			return [];
+		};
+
+		const symbols = new Set();
+		list(d, 'etfs').forEach((e, i) => {
+			const at = `ETF #${i + 1}${e?.symbol ? ` (${e.symbol})` : ''}`;
+			if (!e || typeof e !== 'object') return errors.push(`${at}: не є об'єктом`);
+			if (typeof e.symbol !== 'string' || !e.symbol.trim()) errors.push(`${at}: порожній symbol`);
+			else if (symbols.has(e.symbol)) errors.push(`${at}: symbol повторюється`);
+			else symbols.add(e.symbol);
+			if (typeof e.name !== 'string') errors.push(`${at}: відсутня назва`);
+			if (e.currency != null && !/^[A-Z]{3}$/.test(e.currency)) errors.push(`${at}: некоректна валюта «${e.currency}»`);
+			if (e.targetWeight != null && !(num(e.targetWeight) && e.targetWeight >= 0)) errors.push(`${at}: цільова вага має бути невід'ємним числом`);
+			if (e.isin != null && !(typeof e.isin === 'string' && ISIN_RE.test(e.isin))) errors.push(`${at}: некоректний ISIN «${e.isin}»`);
+			if (e.ter != null && !(num(e.ter) && e.ter >= 0 && e.ter <= 100)) errors.push(`${at}: TER має бути числом від 0 до 100`);
+			if (e.distribution != null && !DISTRIBUTION_TYPES[e.distribution]) errors.push(`${at}: distribution має бути 'acc' або 'dist'`);
+			if (e.assetClass != null && !ASSET_CLASSES[e.assetClass]) errors.push(`${at}: невідомий клас активів «${e.assetClass}»`);
+			['regions', 'sectors'].forEach((k) => {
+				if (e[k] == null) return;
+				const ok = typeof e[k] === 'object' && !Array.isArray(e[k]) && Object.values(e[k]).every((w) => num(w) && w >= 0 && w <= 100);
+				if (!ok) errors.push(`${at}: ${k} має бути об'єктом { назва: вага у % }`);
+			});
+			if (!Array.isArray(e.prices)) return errors.push(`${at}: prices має бути масивом`);
+			e.prices.forEach((p, j) => {
+				if (!isTs(p?.ts)) errors.push(`${at}, ціна #${j + 1}: некоректна дата (ts=${p?.ts})`);
+				if (!(num(p?.price) && p.price >= 0)) errors.push(`${at}, ціна #${j + 1}: некоректна ціна (${p?.price})`);
+			});
+		});
+
+		list(d, 'fx').forEach((f, i) => {
+			const at = `Курс #${i + 1}${f?.currency ? ` (${f.currency})` : ''}`;
+			if (!f || typeof f !== 'object') return errors.push(`${at}: не є об'єктом`);
+			if (!/^[A-Z]{3}$/.test(f.currency || '')) errors.push(`${at}: некоректна валюта`);
+			if (!Array.isArray(f.rates)) return errors.push(`${at}: rates має бути масивом`);
+			f.rates.forEach((r, j) => {
+				if (!isTs(r?.ts)) errors.push(`${at}, знімок #${j + 1}: некоректна дата (ts=${r?.ts})`);
+				if (!(num(r?.rate) && r.rate > 0)) errors.push(`${at}, знімок #${j + 1}: курс має бути додатним (${r?.rate})`);
+			});
+		});
+
+		// Collections of one portfolio; flat files are a single portfolio, workspace files have several
+		function checkPortfolio(src, prefix = '') {
+			list(src, 'purchases', prefix).forEach((p, i) => {
+				const at = `${prefix}Операція #${i + 1}`;
+				if (!p || typeof p !== 'object') return errors.push(`${at}: не є об'єктом`);
+				if (!isTs(p.ts)) errors.push(`${at}: некоректна дата (ts=${p.ts})`);
+				if (!symbols.has(p.symbol)) warnings.push(`${at}: невідомий символ «${p.symbol}»`);
+				if (!(num(p.qty) && p.qty > 0)) errors.push(`${at}: кількість має бути додатною (${p.qty})`);
+				if (p.side != null && p.side !== 'buy' && p.side !== 'sell') errors.push(`${at}: невідомий тип «${p.side}»`);
+				if (p.price != null && !(num(p.price) && p.price >= 0)) errors.push(`${at}: некоректна ціна (${p.price})`);
+				if (p.fee != null && !(num(p.fee) && p.fee >= 0)) errors.push(`${at}: некоректна комісія (${p.fee})`);
+			});
+
+			list(src, 'cash', prefix).forEach((c, i) => {
+				const at = `${prefix}Рахунок #${i + 1}`;
+				if (!c || typeof c !== 'object') return errors.push(`${at}: не є об'єктом`);
+				if (!isTs(c.ts)) errors.push(`${at}: некоректна дата (ts=${c.ts})`);
+				if (!CASH_TYPES[c.type]) errors.push(`${at}: невідомий тип «${c.type}»`);
+				if (!(num(c.amount) && c.amount > 0)) errors.push(`${at}: сума має бути додатною (${c.amount})`);
+				if (c.symbol != null && !symbols.has(c.symbol)) warnings.push(`${at}: невідомий символ «${c.symbol}»`);
+			});
+
+			list(src, 'plans', prefix).forEach((pl, i) => {
+				const at = `${prefix}План #${i + 1}`;
+				if (!pl || typeof pl !== 'object') return errors.push(`${at}: не є об'єктом`);
+				if (!pl.id) errors.push(`${at}: відсутній id`);
+				if (!symbols.has(pl.symbol)) warnings.push(`${at}: невідомий символ «${pl.symbol}»`);
+				if (!(num(pl.amount) && pl.amount > 0)) errors.push(`${at}: сума має бути додатною (${pl.amount})`);
+				if (!(Number.isInteger(pl.day) && pl.day >= 1 && pl.day <= 31)) errors.push(`${at}: день місяця має бути від 1 до 31 (${pl.day})`);
+				if (!isDate(pl.start)) errors.push(`${at}: некоректна дата початку (${pl.start})`);
+				if (pl.end != null && !isDate(pl.end)) errors.push(`${at}: некоректна дата завершення (${pl.end})`);
+			});
+
+			list(src, 'goals', prefix).forEach((g, i) => {
+				const at = `${prefix}Ціль #${i + 1}${g?.name ? ` (${g.name})` : ''}`;
+				if (!g || typeof g !== 'object') return errors.push(`${at}: не є об'єктом`);
+				if (!g.id) errors.push(`${at}: відсутній id`);
+				if (!(num(g.target) && g.target >= 0)) errors.push(`${at}: сума цілі має бути невід'ємною (${g.target})`);
+				if (!(num(g.monthly) && g.monthly >= 0)) errors.push(`${at}: щомісячний внесок має бути невід'ємним (${g.monthly})`);
+			});
+
+			list(src, 'alerts', prefix).forEach((a, i) => {
+				const at = `${prefix}Сповіщення #${i + 1}`;
+				if (!a || typeof a !== 'object') return errors.push(`${at}: не є об'єктом`);
+				if (!a.id) errors.push(`${at}: відсутній id`);
+				if (!ALERT_TYPES[a.type]) return errors.push(`${at}: невідомий тип «${a.type}»`);
+				if (a.type === 'price' || a.type === 'pl') {
+					if (a.op !== 'below' && a.op !== 'above') errors.push(`${at}: умова має бути below або above (${a.op})`);
+					if (!num(a.value)) errors.push(`${at}: некоректний поріг (${a.value})`);
+				}
+				if (a.type === 'price' && typeof a.symbol !== 'string') errors.push(`${at}: не вказано символ`);
+				else if (a.symbol != null && !symbols.has(a.symbol)) warnings.push(`${at}: невідомий символ «${a.symbol}»`);
+				if (a.currency != null && !/^[A-Z]{3}$/.test(a.currency)) errors.push(`${at}: некоректна валюта «${a.currency}»`);
+				if (a.type === 'stale' && !(Number.isInteger(a.days) && a.days >= 1)) errors.push(`${at}: кількість днів має бути цілим числом від 1 (${a.days})`);
+				if (a.type === 'goal' && (typeof a.goalId !== 'string' || !a.goalId)) errors.push(`${at}: не вказано ціль`);
+			});
+		}
+		if (Array.isArray(d.portfolios)) {
+			const ids = new Set();
+			d.portfolios.forEach((pf, i) => {
+				const prefix = `Портфель «${pf?.name || pf?.id || i + 1}»: `;
+				if (!pf || typeof pf !== 'object') return errors.push(`${prefix}не є об'єктом`);
+				if (typeof pf.id !== 'string' || !pf.id) errors.push(`${prefix}відсутній id`);
+				else if (ids.has(pf.id)) errors.push(`${prefix}id повторюється`);
+				else ids.add(pf.id);
+				checkPortfolio(pf, prefix);
+			});
+		} else {
+			checkPortfolio(d);
+		}
+
+		if (d.ui != null && (typeof d.ui !== 'object' || Array.isArray(d.ui))) errors.push('ui: має бути об\'єктом');
+		return errors;
+	}
+
+	// The portfolio collections only (no ui), from `src` or the live state
+	const currentData = (src = { etfs, purchases, cash, fx, plans, goals, alerts }) => Object.fromEntries(DATA_COLLECTIONS.map((k) => [k, src[k] || []]));
+
+	const COLLECTION_LABELS = { etfs: 'ETF', prices: 'Ціни', purchases: 'Операції', cash: 'Рахунок', fx: 'Курси', plans: 'Плани', goals: 'Цілі', alerts: 'Сповіщення' };
+	const KIND_LABELS = { added: 'Додано', removed: 'Видалено', changed: 'Змінено' };
+	const KIND_SIGNS = { added: '+', removed: '−', changed: '~' };
+
+	// Item lists per diffable collection: [key, value]. Snapshots are diffed one by one, apart from their ETF.
+	const DIFF_ITEMS = {
+		etfs: (d) => (d.etfs || []).map(({ prices, ...e }) => [e.symbol, e]),
+		prices: (d) => (d.etfs || []).flatMap((e) => (e.prices || []).map((p) => [`${e.symbol}|${p.ts}`, { symbol: e.symbol, ...p }])),
+		purchases: (d) => {
+			// Identical trades are legal, so repeats get an occurrence suffix
+			const seen = new Map();
+			return (d.purchases || []).map((p) => {
+				const k = tradeKey(p);
+				const n = seen.get(k) || 0;
+				seen.set(k, n + 1);
+				return [`${k}#${n}`, p];
+			});
+		},
+		cash: (d) => (d.cash || []).map((c) => [c.id || `${c.ts}|${c.type}|${c.amount}`, c]),
+		fx: (d) => (d.fx || []).flatMap((f) => (f.rates || []).map((r) => [`${f.currency}|${r.ts}`, { currency: f.currency, ...r }])),
+		plans: (d) => (d.plans || []).map((p) => [p.id, p]),
+		goals: (d) => (d.goals || []).map((g) => [g.id, g]),
+		alerts: (d) => (d.alerts || []).map((a) => [a.id, a]),
+	};
+
+	// Item-level changes between two states; only collections present in `after` are compared
+	function diffState(before, after) {
+		const changes = [];
+		Object.keys(DIFF_ITEMS).forEach((collection) => {
+			const source = collection === 'prices' ? 'etfs' : collection;
+			if (!(source in after)) return;
+			const a = new Map(DIFF_ITEMS[collection](before));
+			const b = new Map(DIFF_ITEMS[collection](after));
+			b.forEach((val, key) => {
+				if (!a.has(key)) changes.push({ collection, kind: 'added', key, before: null, after: val });
+				else if (JSON.stringify(a.get(key)) !== JSON.stringify(val)) changes.push({ collection, kind: 'changed', key, before: a.get(key), after: val });
+			});
+			a.forEach((val, key) => {
+				if (!b.has(key)) changes.push({ collection, kind: 'removed', key, before: val, after: null });
+			});
+		});
+		return changes;
+	}
+
+	function countChanges(changes) {
+		const counts = {};
+		changes.forEach((c) => {
+			counts[c.collection] = counts[c.collection] || { added: 0, removed: 0, changed: 0 };
+			counts[c.collection][c.kind]++;
+		});
+		return counts;
+	}
+
+	function describeItem(collection, v) {
+		if (!v) return '';
+		switch (collection) {
+			case 'etfs': return `${v.symbol} — ${v.name}`;
+			case 'prices': return `${v.symbol} ${fmtDate(v.ts)} ${v.price}`;
+			case 'purchases': return `${v.symbol} ${isSell(v) ? 'продаж' : 'купівля'} ${v.qty} · ${fmtDate(v.ts)}`;
+			case 'cash': return `${CASH_TYPES[v.type]?.label || v.type} ${v.amount}${v.symbol ? ` ${v.symbol}` : ''} · ${fmtDate(v.ts)}`;
+			case 'fx': return `${v.currency} ${v.rate} · ${fmtDate(v.ts)}`;
+			case 'plans': return `${v.symbol} ${v.amount} щомісяця ${v.day}-го`;
+			case 'goals': return v.name;
+			case 'alerts': return describeAlert(v);
+			default: return '';
+		}
+	}
+
+	function describeChanges(changes) {
+		if (changes.length === 1) {
+			const c = changes[0];
+			return `${KIND_LABELS[c.kind]}: ${COLLECTION_LABELS[c.collection]} ${describeItem(c.collection, c.after || c.before)}`;
+		}
+		return Object.entries(countChanges(changes))
+			.map(([collection, c]) => `${COLLECTION_LABELS[collection]} ${[c.added && `+${c.added}`, c.removed && `−${c.removed}`, c.changed && `~${c.changed}`].filter(Boolean).join(' ')}`)
+			.join(' · ');
+	}
+
+	// Merge import: what we already have wins, only new ETFs, snapshots, trades, entries, goals and alerts come in
+	// Only collections present on both sides are merged, so shared data and a portfolio can be merged separately
+	function mergeData(current, incoming) {
+		const next = JSON.parse(JSON.stringify(current));
+		const has = (k) => Array.isArray(incoming[k]) && Array.isArray(next[k]);
+		if (has('etfs')) incoming.etfs.forEach((e) => {
+			const mine = next.etfs.find((x) => x.symbol === e.symbol);
+			if (!mine) { next.etfs.push(JSON.parse(JSON.stringify(e))); return; }
+			Object.keys(e).forEach((k) => { if (k !== 'prices' && mine[k] == null) mine[k] = e[k]; });
+			addPriceSnapshots(mine, e.prices, 'skip');
+		});
+		const knownTrades = new Set((next.purchases || []).map(tradeKey));
+		if (has('purchases')) incoming.purchases.forEach((p) => {
+			if (knownTrades.has(tradeKey(p))) return;
+			knownTrades.add(tradeKey(p));
+			next.purchases.push({ ...p });
+		});
+		const cashKey = (c) => `${c.ts}|${c.type}|${c.amount}|${c.symbol || ''}`;
+		const knownCash = new Set((next.cash || []).flatMap((c) => [c.id, cashKey(c)].filter(Boolean)));
+		if (has('cash')) incoming.cash.forEach((c) => {
+			if (knownCash.has(c.id) || knownCash.has(cashKey(c))) return;
+			knownCash.add(cashKey(c));
+			next.cash.push({ ...c });
+		});
+		if (has('fx')) incoming.fx.forEach((f) => {
+			const mine = next.fx.find((x) => x.currency === f.currency);
+			if (!mine) { next.fx.push(JSON.parse(JSON.stringify(f))); return; }
+			addFxRates(mine, f.rates, 'skip');
+		});
+		['plans', 'goals', 'alerts'].filter(has).forEach((k) => {
+			const ids = new Set(next[k].map((x) => x.id));
+			incoming[k].forEach((x) => { if (!ids.has(x.id)) { ids.add(x.id); next[k].push(JSON.parse(JSON.stringify(x))); } });
+		});
+		return next;
+	}
+
+	// ---------- Price lookup ----------
+	// Snapshots are indexed once per symbol/currency as parallel sorted arrays and searched by bisection.
+	// The index is rebuilt lazily after saveEtfs/saveFx/savePurchases or a state reload drop it.
+	let priceIndex = new Map(); // symbol -> { currency, series }
+	let fxIndex = new Map(); // currency -> series
+	let tradeIndex = null; // sortedTrades(purchases)
+
+	function invalidateIndexes(name) {
+		if (!name || name === 'etfs') priceIndex = new Map();
+		if (!name || name === 'fx') fxIndex = new Map();
+		if (!name || name === 'purchases') tradeIndex = null;
+	}
+
+	// { ts:number[], values:number[] } in time order; the last snapshot wins on equal timestamps
+	function buildSeries(list, field) {
+		const sorted = (list || []).filter((p) => p && Number.isFinite(p.ts)).sort((a, b) => a.ts - b.ts);
+		const ts = [];
+		const values = [];
+		sorted.forEach((p) => {
+			if (ts.length && ts[ts.length - 1] === p.ts) values[values.length - 1] = p[field];
+			else { ts.push(p.ts); values.push(p[field]); }
+		});
+		return { ts, values };
+	}
+
+	// Index of the last snapshot at or before ts, -1 if all are later
+	function bisect(series, ts) {
+		let lo = 0;
+		let hi = series.ts.length - 1;
+		let found = -1;
+		while (lo <= hi) {
+			const mid = (lo + hi) >> 1;
+			if (series.ts[mid] <= ts) { found = mid; lo = mid + 1; } else hi = mid - 1;
+		}
+		return found;
+	}
+
+	// Most recent snapshot at or before ts; before the first one, the first one (the closest) is used
+	function seriesAt(series, ts) {
+		if (!series?.ts.length) return null;
+		return series.values[Math.max(0, bisect(series, ts))] ?? null;
+	}
+
+	// Same lookup for ascending timestamps: the position only moves forward, so a walk is linear overall
+	function seriesCursor(series) {
+		let i = 0;
+		return (ts) => {
+			if (!series?.ts.length) return null;
+			while (i + 1 < series.ts.length && series.ts[i + 1] <= ts) i++;
+			return series.values[i] ?? null;
+		};
+	}
+
+	function priceEntry(symbol) {
+		if (!priceIndex.has(symbol)) {
+			const e = etfs.find((x) => x.symbol === symbol);
+			priceIndex.set(symbol, e ? { currency: e.currency || 'EUR', series: buildSeries(e.prices, 'price') } : null);
+		}
+		return priceIndex.get(symbol);
+	}
+
+	function fxSeries(currency) {
+		if (!fxIndex.has(currency)) fxIndex.set(currency, buildSeries(fx.find((x) => x.currency === currency)?.rates, 'rate'));
+		return fxIndex.get(currency);
+	}
+
+	const purchaseTrades = () => tradeIndex || (tradeIndex = sortedTrades(purchases));
+
+	const etfCurrency = (symbol) => priceEntry(symbol)?.currency || 'EUR';
+
+	// Prices in the ETF's own quote currency
+	function rawLatestPrice(symbol) {
+		const values = priceEntry(symbol)?.series.values;
+		return values?.length ? values[values.length - 1] : null;
+	}
+
+	function rawPriceAt(symbol, ts) {
+		const entry = priceEntry(symbol);
+		return entry ? seriesAt(entry.series, ts) : null;
+	}
+
+	// Strict variant: null before the first snapshot instead of borrowing a later price
+	function rawPriceAsOf(symbol, ts) {
+		const series = priceEntry(symbol)?.series;
+		const i = series ? bisect(series, ts) : -1;
+		return i < 0 ? null : series.values[i];
+	}
+
+	// EUR is the pivot: every other currency carries "1 unit = rate EUR" snapshots
+	function fxToEur(currency, ts) {
+		if (currency === 'EUR') return 1;
+		return seriesAt(fxSeries(currency), ts);
+	}
+
+	function fxRate(from, to, ts) {
+		if (from === to) return 1;
+		const a = fxToEur(from, ts);
+		const b = fxToEur(to, ts);
+		if (a == null || !b) return null;
+		return a / b;
+	}
+
+	const toBase = (amount, currency, ts) => {
+		if (amount == null) return null;
+		const rate = fxRate(currency, ui.baseCurrency, ts);
+		return rate == null ? null : amount * rate;
+	};
+
+	// Prices converted into the base currency (latest FX for latest price, FX at ts otherwise)
+	function latestPrice(symbol) {
+		return toBase(rawLatestPrice(symbol), etfCurrency(symbol), Infinity);
+	}
+
+	function priceAt(symbol, ts) {
+		return toBase(rawPriceAt(symbol, ts), etfCurrency(symbol), ts);
+	}
+
+	// priceAt() for a walk over ascending timestamps; also takes a {currency, series} entry that isn't an ETF
+	function priceCursor(symbol) {
+		const entry = typeof symbol === 'string' ? priceEntry(symbol) : symbol;
+		if (!entry) return () => null;
+		const price = seriesCursor(entry.series);
+		const same = entry.currency === ui.baseCurrency;
+		const from = same || entry.currency === 'EUR' ? () => 1 : seriesCursor(fxSeries(entry.currency));
+		const to = same || ui.baseCurrency === 'EUR' ? () => 1 : seriesCursor(fxSeries(ui.baseCurrency));
+		return (ts) => {
+			const p = price(ts);
+			const a = from(ts);
+			const b = to(ts);
+			return p == null || a == null || !b ? null : p * (a / b);
+		};
+	}
+
+	// Single merge path for timestamped snapshots (prices, FX rates): one per timestamp, list kept sorted
+	function mergeSnapshots(list, snapshots, field, mode = 'overwrite') {
+		const byTs = new Map(list.map((p) => [p.ts, p]));
+		const result = { added: 0, overwritten: 0, skipped: 0 };
+		snapshots.forEach(({ ts, [field]: value }) => {
+			const existing = byTs.get(ts);
+			if (!existing) {
+				const p = { ts, [field]: value };
+				list.push(p);
+				byTs.set(ts, p);
+				result.added++;
+			} else if (mode === 'overwrite') {
+				existing[field] = value;
+				result.overwritten++;
+			} else {
+				result.skipped++;
+			}
+		});
+		list.sort((a, b) => a.ts - b.ts);
+		return result;
+	}
+
+	function addPriceSnapshots(e, snapshots, mode) {
+		e.prices = e.prices || [];
+		return mergeSnapshots(e.prices, snapshots, 'price', mode);
+	}
+
+	function addFxRates(f, rates, mode) {
+		f.rates = f.rates || [];
+		return mergeSnapshots(f.rates, rates, 'rate', mode);
+	}
+
+	// ---------- CSV ----------
+	function detectDelimiter(text) {
+		const line = text.split(/\r?\n/).find((l) => l.trim()) || '';
+		let best = ',';
+		let bestCount = 0;
+		[';', '\t', ','].forEach((d) => {
+			const count = line.split(d).length - 1;
+			if (count > bestCount) { best = d; bestCount = count; }
+		});
+		return best;
+	}
+
+	// Rows as arrays of trimmed cells; quoted cells may contain delimiters, quotes ("") and newlines
+	function parseCsv(text, delimiter = detectDelimiter(text)) {
+		const rows = [];
+		let row = [];
+		let cell = '';
+		let quoted = false;
+		const src = text.replace(/^\uFEFF/, '');
+		for (let i = 0; i < src.length; i++) {
+			const ch = src[i];
+			if (quoted) {
+				if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+				else if (ch === '"') quoted = false;
+				else cell += ch;
+			} else if (ch === '"') {
+				quoted = true;
+			} else if (ch === delimiter) {
+				row.push(cell.trim()); cell = '';
+			} else if (ch === '\n' || ch === '\r') {
+				if (ch === '\r' && src[i + 1] === '\n') i++;
+				row.push(cell.trim()); cell = '';
+				if (row.some((c) => c !== '')) rows.push(row);
+				row = [];
+			} else {
+				cell += ch;
+			}
+		}
+		row.push(cell.trim());
+		if (row.some((c) => c !== '')) rows.push(row);
+		return rows;
+	}
+
+	// Ambiguous day/month is resolved in favour of the European order (listed first)
+	const DATE_FORMATS = [
+		{ id: 'YYYY-MM-DD', re: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?(?:Z|[+-]\d{2}:?\d{2})?$/, order: ['y', 'm', 'd'] },
+		{ id: 'DD.MM.YYYY', re: /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/, order: ['d', 'm', 'y'] },
+		{ id: 'DD/MM/YYYY', re: /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/, order: ['d', 'm', 'y'] },
+		{ id: 'MM/DD/YYYY', re: /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/, order: ['m', 'd', 'y'] },
+		{ id: 'DD-MM-YYYY', re: /^(\d{1,2})-(\d{1,2})-(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/, order: ['d', 'm', 'y'] },
+	];
+
+	// Local timestamp, or null when the value doesn't fit the format
+	function parseDateAs(value, formatId) {
+		const fmt = DATE_FORMATS.find((f) => f.id === formatId);
+		const m = fmt && String(value).trim().match(fmt.re);
+		if (!m) return null;
+		const parts = {};
+		fmt.order.forEach((k, i) => { parts[k] = +m[i + 1]; });
+		const hh = m[4] != null ? +m[4] : 0;
+		const mm = m[5] != null ? +m[5] : 0;
+		const d = new Date(parts.y, parts.m - 1, parts.d, hh, mm);
+		if (d.getFullYear() !== parts.y || d.getMonth() !== parts.m - 1 || d.getDate() !== parts.d) return null;
+		return d.getTime();
+	}
+
+	function detectDateFormat(values) {
+		const sample = values.filter((v) => v).slice(0, 50);
+		if (!sample.length) return DATE_FORMATS[0].id;
+		// Best fit wins; a few broken rows shouldn't hide the obvious format
+		let best = DATE_FORMATS[0];
+		let bestCount = -1;
+		DATE_FORMATS.forEach((f) => {
+			const count = sample.filter((v) => parseDateAs(v, f.id) != null).length;
+			if (count > bestCount) { best = f; bestCount = count; }
+		});
+		return best.id;
+	}
+
+	// "1.234,56" / "1,234.56" / "€ 12,5" -> number, NaN when unparseable
+	function parseDecimal(value, decimal = '.') {
+		let str = String(value).replace(/[\s\u00A0'€$£]/g, '');
+		const thousands = decimal === ',' ? '.' : ',';
+		str = str.split(thousands).join('');
+		if (decimal === ',') str = str.replace(',', '.');
+		return /^-?\d+(\.\d+)?$/.test(str) ? parseFloat(str) : NaN;
+	}
+
+	// Whichever separator appears last in most values is the decimal one
+	function detectDecimal(values) {
+		let comma = 0;
+		let dot = 0;
+		values.filter((v) => v).slice(0, 50).forEach((v) => {
+			const c = v.lastIndexOf(',');
+			const d = v.lastIndexOf('.');
+			if (c > d) comma++; else if (d > c) dot++;
+		});
+		return comma > dot ? ',' : '.';
+	}
+
+	// Index of the first header cell matching re, or fallback
+	const guessColumn = (header, re, fallback) => {
+		const i = header.findIndex((h) => re.test(h));
+		return i >= 0 ? i : fallback;
+	};
+
+	// ---------- Price feeds ----------
+	// A price source = adapter + how to read its answer + which ETFs it serves ({ [symbol]: remote ticker }, empty = all ETFs).
+	// Adapters only deliver raw text per ETF: load(source, targets, file?) -> [{ target, text } | { target, error }].
+	// Parsing is shared, and quotes are merged through addPriceSnapshots just like manually added prices.
+	const PRICE_ADAPTERS = {
+		http: {
+			label: 'HTTP: JSON або CSV за URL',
+			async load(source, targets) {
+				// A URL without per-ETF placeholders is requested once for all targets
+				const requests = new Map();
+				const out = [];
+				for (const target of targets) {
+					const url = fillPriceUrl(source.url, target);
+					if (!requests.has(url)) requests.set(url, fetchPriceText(url, source.proxy));
+					try {
+						out.push({ target, text: await requests.get(url) });
+					} catch (err) {
+						out.push({ target, error: err.message });
+					}
+				}
+				return out;
+			},
+		},
+		file: {
+			label: 'Файл: перетягнути JSON або CSV',
+			async load(source, targets, file) {
+				if (!file) throw new Error('потрібен файл');
+				const text = await readFileText(file);
+				return targets.map((target) => ({ target, text }));
+			},
+		},
+	};
+
+	const PRICE_URL_FIELDS = {
+		symbol: (t) => t.etf.symbol,
+		ticker: (t) => t.ticker,
+		isin: (t) => t.etf.isin || '',
+		currency: (t) => t.etf.currency || 'EUR',
+		// From the day of the latest known price (or a year back) until today
+		from: (t) => {
+			const last = t.etf.prices?.length ? t.etf.prices[t.etf.prices.length - 1].ts : Date.now() - 365 * 864e5;
+			return new Date(last).toISOString().slice(0, 10);
+		},
+		to: () => new Date().toISOString().slice(0, 10),
+	};
+
+	const fillPriceUrl = (template, target) => String(template || '').replace(/\{(\w+)\}/g, (m, name) => (PRICE_URL_FIELDS[name] ? encodeURIComponent(PRICE_URL_FIELDS[name](target)) : m));
+
+	// Most quote services don't send CORS headers; server.js can fetch them on the page's behalf
+	async function fetchPriceText(url, proxy) {
+		const res = await fetch(proxy ? `./api/proxy?url=${encodeURIComponent(url)}` : url, { cache: 'no-store' });
+		if (!res.ok) throw new Error(`HTTP ${res.status}`);
+		return res.text();
+	}
+
+	const readFileText = (file) => new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () => reject(new Error('не вдалося прочитати файл'));
+		reader.readAsText(file);
+	});
+
+	// "chart.result.0.close" -> value; an empty path is the value itself
+	const getPath = (obj, path) => (path ? String(path).split('.').reduce((v, k) => (v == null ? undefined : v[k.trim()]), obj) : obj);
+
+	// Unix seconds / milliseconds, or a date string in the given format
+	function parseQuoteDate(value, formatId) {
+		if (value == null || value === '') return null;
+		if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+			const n = Number(value);
+			if (!isFinite(n)) return null;
+			return n < 1e11 ? n * 1000 : n;
+		}
+		return parseDateAs(value, formatId);
+	}
+
+	// Text -> { quotes: [{ symbol|null, ts, price }], invalid }. JSON: an array of quote objects at itemsPath,
+	// parallel arrays of dates and prices (e.g. timestamps + closes), or a single quote object.
+	// CSV: the fields are header names or 1-based column numbers.
+	function parseQuotes(source, text) {
+		let items;
+		if (source.format === 'csv') {
+			const [header = [], ...rows] = parseCsv(String(text || ''));
+			const column = (field) => {
+				const name = String(field || '').trim();
+				if (!name) return -1;
+				if (/^\d+$/.test(name)) return +name - 1;
+				return header.findIndex((h) => h.toLowerCase() === name.toLowerCase());
+			};
+			const [symbolCol, dateCol, priceCol] = [source.symbolField, source.dateField, source.priceField].map(column);
+			if (dateCol < 0 || priceCol < 0) throw new Error('немає колонки дати або ціни');
+			// With columns given by number there may be no header: a first row with a date in it is data
+			const firstIsData = /^\d+$/.test(String(source.dateField).trim())
+				&& DATE_FORMATS.some((f) => parseQuoteDate(header[dateCol], f.id) != null);
+			const data = firstIsData ? [header, ...rows] : rows;
+			items = data.map((r) => ({ symbol: symbolCol >= 0 ? r[symbolCol] : null, date: r[dateCol], price: r[priceCol] }));
+		} else {
+			let json;
+			try {
+				json = JSON.parse(text);
+			} catch (_) {
+				throw new Error('відповідь не є JSON');
+			}
+			const root = getPath(json, source.itemsPath);
+			if (root == null) throw new Error(`немає даних за шляхом «${source.itemsPath}»`);
+			const symbolOf = (x) => (source.symbolField ? getPath(x, source.symbolField) : null);
+			if (Array.isArray(root)) {
+				items = root.map((x) => ({ symbol: symbolOf(x), date: getPath(x, source.dateField), price: getPath(x, source.priceField) }));
+			} else {
+				const dates = getPath(root, source.dateField);
+				const prices = getPath(root, source.priceField);
+				items = Array.isArray(dates) && Array.isArray(prices)
+					? dates.map((date, i) => ({ symbol: symbolOf(root), date, price: prices[i] }))
+					: [{ symbol: symbolOf(root), date: dates, price: prices }];
+			}
+		}
+		const textDates = items.map((x) => x.date).filter((v) => typeof v === 'string' && !/^\d{9,13}$/.test(v.trim()));
+		const dateFormat = source.dateFormat && source.dateFormat !== 'auto' ? source.dateFormat : detectDateFormat(textDates);
+		const decimal = detectDecimal(items.map((x) => x.price).filter((v) => typeof v === 'string'));
+		const quotes = [];
+		let invalid = 0;
+		items.forEach((x) => {
+			const ts = parseQuoteDate(x.date, dateFormat);
+			const price = typeof x.price === 'number' ? x.price : parseDecimal(x.price ?? '', decimal);
+			// Feeds mark missing days with null/0; those are skipped rather than recorded as a zero price
+			if (ts == null || !isFinite(price) || price <= 0) { invalid++; return; }
+			quotes.push({ symbol: x.symbol == null || x.symbol === '' ? null : String(x.symbol), ts, price });
+		});
+		return { quotes, invalid };
+	}
+
+	// ETFs a source serves (optionally only some of them) with the ticker it knows them by
+	const priceTargets = (source, symbols = null) => {
+		const mapped = Object.keys(source.tickers || {});
+		return etfs
+			.filter((e) => (!mapped.length || mapped.includes(e.symbol)) && (!symbols || symbols.includes(e.symbol)))
+			.map((etf) => ({ etf, ticker: source.tickers?.[etf.symbol] || etf.symbol }));
+	};
+
+	// [{ target, quotes, invalid } | { target, error }]; rows for other tickers in a shared answer are left out
+	async function loadSourceQuotes(source, targets, file = null) {
+		const adapter = PRICE_ADAPTERS[source.adapter];
+		if (!adapter) throw new Error(`невідомий адаптер «${source.adapter}»`);
+		const loaded = await adapter.load(source, targets, file);
+		return loaded.map(({ target, text, error }) => {
+			if (error) return { target, error };
+			try {
+				const { quotes, invalid } = parseQuotes(source, text);
+				const own = quotes.filter((q) => q.symbol == null || q.symbol.toUpperCase() === target.ticker.toUpperCase());
+				if (!own.length) return { target, error: invalid ? `${invalid} рядків без дати чи ціни` : 'немає котирувань' };
+				return { target, quotes: own.map(({ ts, price }) => ({ ts, price })), invalid };
+			} catch (err) {
+				return { target, error: err.message };
+			}
+		});
+	}
+
+	// Runs the sources for the given ETFs (all by default). A dropped file goes only to file sources, otherwise
+	// only the others run. Returns [{ symbol, source, added, overwritten, invalid, error? }]
+	async function refreshPrices({ symbols = null, file = null, sources = priceSources } = {}) {
+		let results = [];
+		for (const source of sources) {
+			if (file ? source.adapter !== 'file' : source.adapter === 'file') continue;
+			const targets = priceTargets(source, symbols);
+			if (!targets.length) continue;
+			let loaded;
+			try {
+				loaded = await loadSourceQuotes(source, targets, file);
+			} catch (err) {
+				loaded = targets.map((target) => ({ target, error: err.message }));
+			}
+			loaded.forEach(({ target, quotes, invalid = 0, error }) => {
+				const result = { symbol: target.etf.symbol, source: source.name, added: 0, overwritten: 0, invalid, error };
+				// The list may have been reloaded (e.g. by another tab) while the request was running
+				const etf = etfs.find((e) => e.symbol === target.etf.symbol);
+				if (!etf) result.error = result.error || 'ETF видалено';
+				else if (quotes) Object.assign(result, addPriceSnapshots(etf, quotes));
+				results.push(result);
+			});
+		}
+		// A dropped file is meant for one of the file sources: the ones that couldn't read it at all stay quiet
+		if (file && results.some((r) => !r.error)) {
+			const readers = new Set(results.filter((r) => !r.error).map((r) => r.source));
+			results = results.filter((r) => readers.has(r.source));
+		}
+		if (results.some((r) => r.added || r.overwritten)) {
+			labelNextChange('Оновлення цін');
+			saveEtfs();
+		}
+		return results;
+	}
+
+	const describePriceRefresh = (results) => {
+		const named = new Set(results.map((r) => r.source)).size > 1;
+		return results.map((r) => `${r.symbol}${named ? ` (${r.source})` : ''}: ${r.error ? `⚠️ ${r.error}` : `нових ${r.added}, оновлено ${r.overwritten}`}${!r.error && r.invalid ? `, пропущено ${r.invalid}` : ''}`).join(' · ');
+	};
+
+	// ---------- Lots (FIFO / average cost) ----------
+	const EPS = 1e-9;
+	const isSell = (p) => p.side === 'sell';
+	// Stored execution price wins; older records without one fall back to the snapshot.
+	// Price and fee are in the ETF's quote currency, converted at the FX rate of the trade date.
+	const tradeUnitNative = (p) => (isFinite(p.price) && p.price > 0 ? p.price : rawPriceAt(p.symbol, p.ts));
+	const tradeFeeNative = (p) => (isFinite(p.fee) && p.fee > 0 ? p.fee : 0);
+	const tradeFx = (p) => fxRate(etfCurrency(p.symbol), ui.baseCurrency, p.ts);
+	const tradeUnit = (p) => {
+		const unit = tradeUnitNative(p);
+		const rate = tradeFx(p);
+		return unit == null || rate == null ? null : unit * rate;
+	};
+	const tradeFee = (p) => {
+		const rate = tradeFx(p);
+		return rate == null ? null : tradeFeeNative(p) * rate;
+	};
+	// The rate of the trade date came from a later snapshot (the currency's first one is newer than the trade)
+	const tradeFxLater = (p) => {
+		const currency = etfCurrency(p.symbol);
+		if (currency === ui.baseCurrency) return false;
+		return [currency, ui.baseCurrency].some((cur) => cur !== 'EUR' && fxSeries(cur).ts[0] > p.ts);
+	};
+	// Cash side of a trade: paid for buys (fee added), received for sells (fee deducted)
+	const tradeAmount = (p) => {
+		const unit = tradeUnit(p);
+		if (unit == null) return null;
+		return isSell(p) ? p.qty * unit - tradeFee(p) : p.qty * unit + tradeFee(p);
+	};
+	// Chronological order; on equal timestamps buys go first so same-moment sells can match them
+	const sortedTrades = (list) => list.slice().sort((a, b) => (a.ts - b.ts) || ((isSell(a) ? 1 : 0) - (isSell(b) ? 1 : 0)));
+
+	// Incremental lot book: apply trades in time order, read positions/realized at any step.
+	// A trade with no price or no FX rate at all is unpriced: its units count, but it adds nothing
+	// in the base currency (cost, bought, realized) instead of counting as free.
+	function createLedger(method = ui.costMethod) {
+		const positions = {}; // symbol -> { qty, cost, unpriced, lots:[{ts, qty, unit, nativeUnit, fx}] }; unpriced lots have unit null
+		const disposals = []; // [{ trade, qty, proceeds, cost, gain }]; the values are null when unknown
+		const issues = []; // [{ trade, reason:'oversold'|'unpriced'|'fx-later' }]
+		let realized = 0;
+		let bought = 0;
+		const pos = (sym) => positions[sym] || (positions[sym] = { qty: 0, cost: 0, unpriced: 0, lots: [] });
+		function apply(p) {
+			const rate = tradeFx(p);
+			const nativeUnit = tradeUnitNative(p);
+			const priced = rate != null && nativeUnit != null;
+			if (!priced) issues.push({ trade: p, reason: 'unpriced' });
+			else if (tradeFxLater(p)) issues.push({ trade: p, reason: 'fx-later' });
+			const s = pos(p.symbol);
+			if (!isSell(p)) {
+				if (!priced) {
+					s.lots.push({ ts: p.ts, qty: p.qty, unit: null, nativeUnit: null, fx: null });
+					s.qty += p.qty;
+					s.unpriced += p.qty;
+					return;
+				}
+				// Fee is capitalised into the lot's unit cost; native cost and FX are kept for FX attribution
+				const nativeCost = p.qty * nativeUnit + tradeFeeNative(p);
+				const cost = nativeCost * rate;
+				s.lots.push({ ts: p.ts, qty: p.qty, unit: cost / p.qty, nativeUnit: nativeCost / p.qty, fx: rate });
+				s.qty += p.qty;
+				s.cost += cost;
+				bought += cost;
+				return;
+			}
+			if (p.qty - s.qty > EPS) issues.push({ trade: p, reason: 'oversold' });
+			const qty = Math.min(p.qty, s.qty);
+			let cost = 0;
+			let unknown = 0; // sold units that came from unpriced lots
+			if (method === 'avg') {
+				// The pool mixes priced and unpriced units; a sale takes both in proportion
+				unknown = s.qty > 0 ? s.unpriced * qty / s.qty : 0;
+				const known = s.qty - s.unpriced;
+				cost = known > EPS ? s.cost * (qty - unknown) / known : 0;
+				// Shrink every lot proportionally so lot list and pooled cost stay in sync
+				const k = s.qty > 0 ? 1 - qty / s.qty : 0;
+				s.lots.forEach((l) => { l.qty *= k; });
+			} else {
+				// FIFO sells the oldest lots first, LIFO the newest
+				const lifo = method === 'lifo';
+				let left = qty;
+				while (left > EPS && s.lots.length) {
+					const lot = lifo ? s.lots[s.lots.length - 1] : s.lots[0];
+					const take = Math.min(lot.qty, left);
+					if (lot.unit == null) unknown += take; else cost += take * lot.unit;
+					lot.qty -= take;
+					left -= take;
+					if (lot.qty <= EPS) { if (lifo) s.lots.pop(); else s.lots.shift(); }
+				}
+			}
+			s.qty -= qty;
+			s.cost -= cost;
+			s.unpriced = Math.max(0, s.unpriced - unknown);
+			if (s.qty <= EPS) { s.qty = 0; s.cost = 0; s.unpriced = 0; s.lots = []; }
+			// Only the units with a known value on both sides realize a gain; the rest of the sale is left out
+			const share = !priced ? 0 : qty > EPS ? (qty - unknown) / qty : 1;
+			if (share <= EPS) {
+				if (priced) issues.push({ trade: p, reason: 'unpriced' });
+				disposals.push({ trade: p, qty, proceeds: null, cost: null, gain: null });
+				return;
+			}
+			if (share < 1 - EPS) issues.push({ trade: p, reason: 'unpriced' });
+			const proceeds = (qty * nativeUnit - tradeFeeNative(p)) * rate * share;
+			disposals.push({ trade: p, qty: qty - unknown, proceeds, cost, gain: proceeds - cost });
+			realized += proceeds - cost;
+		}
+		return {
+			positions, disposals, issues, apply,
+			get realized() { return realized; },
+			get bought() { return bought; },
+		};
+	}
+
+	function buildLedger(list = purchases, method = ui.costMethod) {
+		const ledger = createLedger(method);
+		(list === purchases ? purchaseTrades() : sortedTrades(list)).forEach(ledger.apply);
+		return ledger;
+	}
+
+	const wouldOversell = (list) => buildLedger(list).issues.some((i) => i.reason === 'oversold');
+
+	// Stable identity of a trade for de-duplicating re-imported statements
+	const tradeKey = (p) => `${p.ts}|${p.symbol}|${isSell(p) ? 'sell' : 'buy'}|${(+p.qty).toFixed(6)}`;
+
+	// ---------- Calculations ----------
+	function computeTotals() {
+		const ledger = buildLedger();
+		let invested = 0;
+		let current = 0;
+		for (const [sym, s] of Object.entries(ledger.positions)) {
+			invested += s.cost;
+			const unitNow = latestPrice(sym);
+			// Unpriced units are left out on both sides, like their cost
+			if (unitNow != null) current += (s.qty - s.unpriced) * unitNow;
+		}
+		const unrealized = current - invested;
+		const unrealizedPct = invested > 0 ? (unrealized / invested) * 100 : 0;
+		const realized = ledger.realized;
+		const pl = unrealized + realized;
+		const plPct = ledger.bought > 0 ? (pl / ledger.bought) * 100 : 0;
+		return { invested, current, pl, plPct, realized, unrealized, unrealizedPct, bought: ledger.bought };
+	}
+
+	// One row per symbol still held; symbols missing from etfs are flagged rather than valued at zero
+	function computePositions() {
+		const rows = [];
+		for (const [symbol, s] of Object.entries(buildLedger().positions)) {
+			if (s.qty <= EPS) continue;
+			const e = etfs.find((x) => x.symbol === symbol);
+			const unitNow = e ? latestPrice(symbol) : null;
+			const current = unitNow != null ? s.qty * unitNow : null;
+			// Units with an unknown cost would count as pure gain
+			const unpriced = s.unpriced > EPS;
+			const unrealized = current != null && !unpriced ? current - s.cost : null;
+			const pricedQty = s.qty - s.unpriced;
+			rows.push({
+				symbol,
+				orphan: !e,
+				unpriced,
+				qty: s.qty,
+				avgCost: pricedQty > EPS ? s.cost / pricedQty : null,
+				invested: s.cost,
+				current,
+				unrealized,
+				unrealizedPct: unrealized != null && s.cost > 0 ? (unrealized / s.cost) * 100 : null,
+				lastPriceTs: e?.prices?.length ? Math.max(...e.prices.map((p) => p.ts)) : null,
+			});
+		}
+		const total = rows.reduce((a, r) => a + (r.current || 0), 0);
+		rows.forEach((r) => { r.weight = total > 0 && r.current != null ? (r.current / total) * 100 : null; });
+		return rows;
+	}
+
+	// Target weights are stored as entered and normalised by their sum, so 70/20/10 and 7/2/1 mean the same
+	function computeAllocation() {
+		const bySymbol = Object.fromEntries(computePositions().filter((r) => !r.orphan).map((r) => [r.symbol, r.current || 0]));
+		const total = Object.values(bySymbol).reduce((a, v) => a + v, 0);
+		const targetSum = etfs.reduce((a, e) => a + (e.targetWeight > 0 ? e.targetWeight : 0), 0);
+		return etfs
+			.map((e) => {
+				const current = bySymbol[e.symbol] || 0;
+				const currentPct = total > 0 ? (current / total) * 100 : 0;
+				const targetPct = targetSum > 0 && e.targetWeight > 0 ? (e.targetWeight / targetSum) * 100 : 0;
+				return { symbol: e.symbol, targetWeight: e.targetWeight ?? null, current, currentPct, targetPct, drift: currentPct - targetPct };
+			})
+			.sort((a, b) => a.symbol.localeCompare(b.symbol));
+	}
+
+	// Split a contribution across underweight symbols in proportion to how far each is below target; never sells
+	function suggestContribution(amount) {
+		if (!(amount > 0)) return [];
+		const rows = computeAllocation();
+		const held = rows.reduce((a, r) => a + r.current, 0);
+		const after = held + amount;
+		const candidates = rows
+			.filter((r) => r.targetPct > 0 && latestPrice(r.symbol) != null)
+			.map((r) => ({ ...r, gap: Math.max(0, (r.targetPct / 100) * after - r.current) }));
+		const gapSum = candidates.reduce((a, r) => a + r.gap, 0);
+		if (gapSum <= 0) return [];
+		return candidates
+			.filter((r) => r.gap > 0)
+			.map((r) => {
+				const value = (r.gap / gapSum) * amount;
+				const unit = latestPrice(r.symbol);
+				// Round units down so the suggestion never exceeds the amount
+				const qty = Math.floor((value / unit) * 1e4) / 1e4;
+				return { symbol: r.symbol, value: qty * unit, qty, unit, nativeUnit: rawLatestPrice(r.symbol) };
+			})
+			.filter((r) => r.qty > 0);
+	}
+
+	// ---------- Fund data and look-through ----------
+	const ASSET_CLASSES = {
+		equity: 'Акції',
+		bond: 'Облігації',
+		'real-estate': 'Нерухомість',
+		commodity: 'Сировина',
+		'money-market': 'Грошовий ринок',
+		mixed: 'Змішані',
+		other: 'Інше',
+	};
+	const DISTRIBUTION_TYPES = { acc: 'Накопичувальний', dist: 'Розподільчий' };
+	const ISIN_RE = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+	const EXPOSURE_UNKNOWN = 'Не вказано';
+	const EXPOSURE_OTHER = 'Інше';
+
+	// Region/sector table from JSON ({"США": 62.5, …} or [{name, weight}]) or CSV rows "name;weight"; null when empty
+	function parseWeights(text) {
+		const src = text.trim();
+		if (!src) return null;
+		let entries;
+		if (/^[[{]/.test(src)) {
+			let json;
+			try {
+				json = JSON.parse(src);
+			} catch (err) {
+				throw new Error('некоректний JSON');
+			}
+			entries = Array.isArray(json) ? json.map((x) => [x?.name, x?.weight]) : Object.entries(json);
+		} else {
+			const rows = parseCsv(src);
+			const decimal = detectDecimal(rows.map((r) => r[r.length - 1]));
+			entries = rows.map((r) => [r[0], parseDecimal(r[r.length - 1].replace('%', ''), decimal)]);
+			// A header row has no number in it
+			if (entries.length > 1 && isNaN(entries[0][1])) entries.shift();
+		}
+		const weights = {};
+		entries.forEach(([name, weight]) => {
+			const label = String(name ?? '').trim();
+			if (!label) throw new Error('порожня назва');
+			if (!(typeof weight === 'number' && isFinite(weight) && weight >= 0 && weight <= 100)) throw new Error(`«${label}»: вага має бути числом від 0 до 100 %`);
+			weights[label] = (weights[label] || 0) + weight;
+		});
+		return Object.keys(weights).length ? weights : null;
+	}
+
+	const formatWeights = (weights) => Object.entries(weights || {}).map(([name, w]) => `${name};${w}`).join('\n');
+
+	// A fund's table as [name, %]: short of 100 % the rest is "other", over 100 % (rounding in factsheets) is scaled down
+	function weightShares(weights) {
+		const entries = Object.entries(weights || {}).filter(([, w]) => w > 0);
+		const sum = entries.reduce((a, [, w]) => a + w, 0);
+		if (!sum) return null;
+		const scale = sum > 100 ? 100 / sum : 1;
+		const shares = entries.map(([name, w]) => [name, w * scale]);
+		if (sum < 100) shares.push([EXPOSURE_OTHER, 100 - sum]);
+		return shares;
+	}
+
+	// Current value of each holding spread over its fund's regions, sectors and asset class; funds without
+	// the data count as "not specified". The blended TER is weighted by value over funds with a known TER.
+	function computeExposure() {
+		const positions = computePositions().filter((r) => !r.orphan && r.current > 0);
+		const total = positions.reduce((a, r) => a + r.current, 0);
+		const groups = { regions: new Map(), sectors: new Map(), assetClass: new Map() };
+		const add = (map, name, value) => map.set(name, (map.get(name) || 0) + value);
+		let terBase = 0;
+		let yearlyCost = 0;
+		const noTer = [];
+		positions.forEach((r) => {
+			const e = etfs.find((x) => x.symbol === r.symbol);
+			['regions', 'sectors'].forEach((k) => {
+				const shares = weightShares(e?.[k]);
+				if (!shares) return add(groups[k], EXPOSURE_UNKNOWN, r.current);
+				shares.forEach(([name, pct]) => add(groups[k], name, (r.current * pct) / 100));
+			});
+			add(groups.assetClass, ASSET_CLASSES[e?.assetClass] || EXPOSURE_UNKNOWN, r.current);
+			if (e?.ter == null) return noTer.push(r.symbol);
+			terBase += r.current;
+			yearlyCost += (r.current * e.ter) / 100;
+		});
+		const rows = (map) => [...map]
+			.map(([name, value]) => ({ name, value, pct: total > 0 ? (value / total) * 100 : 0 }))
+			.sort((a, b) => (a.name === EXPOSURE_UNKNOWN) - (b.name === EXPOSURE_UNKNOWN) || b.value - a.value);
+		return {
+			total,
+			regions: rows(groups.regions),
+			sectors: rows(groups.sectors),
+			assetClass: rows(groups.assetClass),
+			ter: terBase > 0 ? (yearlyCost / terBase) * 100 : null,
+			yearlyCost,
+			noTer,
+		};
+	}
+
+	// ---------- Savings plans ----------
+	const MAX_PLAN_EXECUTIONS = 1200; // 100 years of monthly executions
+	const ymKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+	const parseLocalDate = (val) => {
+		const [y, m, d] = String(val).split('-').map(Number);
+		return new Date(y, m - 1, d).getTime();
+	};
+
+	// Execution dates of a plan up to `until`; the day is clamped to short months (31 → 30/28)
+	function planExecutions(plan, until) {
+		const out = [];
+		const start = parseLocalDate(plan.start);
+		const end = plan.end ? parseLocalDate(plan.end) + DAY_MS - 1 : Infinity;
+		const cursor = new Date(start);
+		cursor.setDate(1);
+		while (out.length < MAX_PLAN_EXECUTIONS) {
+			const y = cursor.getFullYear();
+			const m = cursor.getMonth();
+			const day = Math.min(plan.day, new Date(y, m + 1, 0).getDate());
+			const ts = new Date(y, m, day, 12).getTime();
+			if (ts > until || ts > end) break;
+			if (ts >= start) out.push({ month: ymKey(cursor), ts });
+			cursor.setMonth(m + 1);
+		}
+		return out;
+	}
+
+	const planActive = (plan, ts = Date.now()) => parseLocalDate(plan.start) <= ts && (!plan.end || parseLocalDate(plan.end) + DAY_MS > ts);
+
+	// Monthly contribution of all active plans in base currency
+	const plansMonthly = () => plans.filter((p) => planActive(p)).reduce((a, p) => a + (toBase(p.amount, p.currency || 'EUR', Infinity) || 0), 0);
+
+	// Missed executions become pending purchases (qty from the price on the execution date); skipped months are remembered.
+	// Only a snapshot at or before the date counts: a later price would be look-ahead, so such executions wait.
+	function materializePlans() {
+		if (isConsolidated()) return 0;
+		const now = Date.now();
+		const done = new Set(purchases.filter((p) => p.plan).map((p) => `${p.plan}|${p.planMonth}`));
+		let added = 0;
+		plans.forEach((plan) => {
+			planExecutions(plan, now).forEach(({ month, ts }) => {
+				if (done.has(`${plan.id}|${month}`) || plan.skipped?.includes(month)) return;
+				const amount = toBase(plan.amount, plan.currency || 'EUR', ts);
+				const price = rawPriceAsOf(plan.symbol, ts);
+				const unit = toBase(price, etfCurrency(plan.symbol), ts);
+				// No snapshot or FX rate for the date yet: listed as waiting and retried on the next load
+				if (amount == null || !unit) return;
+				purchases.push({ symbol: plan.symbol, ts, qty: amount / unit, side: 'buy', price, plan: plan.id, planMonth: month, pending: true });
+				added++;
+			});
+		});
+		if (added) savePurchases();
+		return added;
+	}
+
+	// ---------- Cash ledger ----------
+	const CASH_TYPES = {
+		deposit: { label: 'Поповнення', sign: 1 },
+		withdrawal: { label: 'Виведення', sign: -1 },
+		dividend: { label: 'Дивіденди', sign: 1 },
+		fee: { label: 'Комісія', sign: -1 },
+	};
+	// Signed amount in the entry's own currency
+	const cashSigned = (c) => (CASH_TYPES[c.type]?.sign || 0) * (+c.amount || 0);
+	const cashInBase = (amount, c) => toBase(amount, c.currency || 'EUR', c.ts) ?? 0;
+
+	// Balance = ledger entries minus money spent on buys plus sale proceeds
+	function computeCash(upTo = Infinity) {
+		const sums = { deposit: 0, withdrawal: 0, dividend: 0, fee: 0 };
+		let balance = 0;
+		for (const c of cash) {
+			if (c.ts > upTo || !(c.type in sums)) continue;
+			sums[c.type] += cashInBase(+c.amount || 0, c);
+			balance += cashInBase(cashSigned(c), c);
+		}
+		for (const p of purchases) {
+			if (p.ts > upTo) continue;
+			const amount = tradeAmount(p);
+			if (amount != null) balance += isSell(p) ? amount : -amount;
+		}
+		return { balance, deposits: sums.deposit, withdrawals: sums.withdrawal, dividends: sums.dividend, fees: sums.fee };
+	}
+
+	// Total return = trading P/L plus income, net of account fees
+	function computeTotalReturn() {
+		const totals = computeTotals();
+		const { dividends, fees } = computeCash();
+		const value = totals.pl + dividends - fees;
+		const pct = totals.bought > 0 ? (value / totals.bought) * 100 : 0;
+		return { value, pct, dividends, fees };
+	}
+
+	// ---------- Performance (XIRR / TWR) ----------
+	// Annualized internal rate of return for dated cash flows (negative = money in, positive = money out)
+	function xirr(flows) {
+		if (!flows.some((f) => f.amount < 0) || !flows.some((f) => f.amount > 0)) return null;
+		const t0 = Math.min(...flows.map((f) => f.ts));
+		const years = (ts) => (ts - t0) / (365 * DAY_MS);
+		const npv = (r) => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + r, years(f.ts)), 0);
+		const dnpv = (r) => flows.reduce((sum, f) => sum - years(f.ts) * f.amount / Math.pow(1 + r, years(f.ts) + 1), 0);
+		// Newton first, bisection if it wanders off
+		let r = 0.1;
+		for (let i = 0; i < 50; i++) {
+			const v = npv(r);
+			const d = dnpv(r);
+			if (!isFinite(v) || !isFinite(d) || d === 0) break;
+			const next = r - v / d;
+			if (!isFinite(next) || next <= -1) break;
+			if (Math.abs(next - r) < 1e-10) return next;
+			r = next;
+		}
+		let lo = -0.9999;
+		let hi = 100;
+		let fLo = npv(lo);
+		if (!isFinite(fLo) || fLo * npv(hi) > 0) return null;
+		for (let i = 0; i < 200; i++) {
+			const mid = (lo + hi) / 2;
+			const fMid = npv(mid);
+			if (Math.abs(fMid) < 1e-9) return mid;
+			if (fLo * fMid < 0) hi = mid; else { lo = mid; fLo = fMid; }
+		}
+		return (lo + hi) / 2;
+	}
+
+	const annualize = (growth, days) => (days > 0 && growth > -1 ? Math.pow(1 + growth, 365 / days) - 1 : null);
+
+	// Money-weighted (XIRR) and time-weighted returns over [from, to] for the whole portfolio or one symbol.
+	// Flows: buys out, sales and dividends in, account fees out (portfolio only); holdings at the start
+	// count as an initial investment and holdings at the end as a final withdrawal.
+	function computeReturns({ symbol = null, from = null, to = null } = {}) {
+		const trades = sortedTrades(purchases.filter((p) => !symbol || p.symbol === symbol));
+		const start = from ?? trades[0]?.ts;
+		if (start == null) return null;
+		const end = to ?? Date.now();
+		if (end <= start) return null;
+		const ledger = createLedger();
+		const valueAt = (t) => {
+			let value = 0;
+			for (const [sym, pos] of Object.entries(ledger.positions)) {
+				const unit = t === Infinity ? latestPrice(sym) : priceAt(sym, t);
+				if (unit != null) value += pos.qty * unit;
+			}
+			return value;
+		};
+		let ti = 0;
+		while (ti < trades.length && trades[ti].ts < start) ledger.apply(trades[ti++]);
+
+		const events = trades.slice(ti).filter((p) => p.ts <= end).map((p) => ({ ts: p.ts, trade: p }));
+		cash.forEach((c) => {
+			if (c.ts < start || c.ts > end) return;
+			if (c.type === 'dividend' && (!symbol || c.symbol === symbol)) events.push({ ts: c.ts, income: cashInBase(+c.amount || 0, c) });
+			if (c.type === 'fee' && !symbol) events.push({ ts: c.ts, income: -cashInBase(+c.amount || 0, c) });
+		});
+		events.sort((a, b) => a.ts - b.ts);
+
+		const startValue = valueAt(start);
+		const flows = startValue > EPS ? [{ ts: start, amount: -startValue }] : [];
+		// TWR chains sub-period growth between external flows; income stays inside the period it was earned in
+		let growth = 1;
+		let base = startValue;
+		let income = 0;
+		events.forEach((ev) => {
+			if (ev.trade) {
+				const before = valueAt(ev.ts);
+				if (base > EPS) growth *= (before + income) / base;
+				income = 0;
+				ledger.apply(ev.trade);
+				base = valueAt(ev.ts);
+				const amount = tradeAmount(ev.trade) ?? 0;
+				flows.push({ ts: ev.ts, amount: isSell(ev.trade) ? amount : -amount });
+			} else {
+				income += ev.income;
+				flows.push({ ts: ev.ts, amount: ev.income });
+			}
+		});
+		const endValue = valueAt(to ?? Infinity);
+		if (base > EPS) growth *= (endValue + income) / base;
+		if (endValue > EPS) flows.push({ ts: end, amount: endValue });
+		const twr = growth - 1;
+		return { start, end, endValue, xirr: xirr(flows), twr, twrAnnual: annualize(twr, (end - start) / DAY_MS) };
+	}
+
+	// Split unrealized P/L of open lots into the price move (at purchase FX) and the currency move
+	function computeFxAttribution() {
+		const rows = [];
+		for (const [symbol, s] of Object.entries(buildLedger().positions)) {
+			if (s.qty <= EPS) continue;
+			const currency = etfCurrency(symbol);
+			const priceNow = rawLatestPrice(symbol);
+			const fxNow = fxRate(currency, ui.baseCurrency, Infinity);
+			if (priceNow == null || fxNow == null) continue;
+			let priceEffect = 0;
+			let fxEffect = 0;
+			s.lots.forEach((l) => {
+				if (l.unit == null) return;
+				priceEffect += l.qty * (priceNow - l.nativeUnit) * l.fx;
+				fxEffect += l.qty * priceNow * (fxNow - l.fx);
+			});
+			rows.push({ symbol, currency, pl: priceEffect + fxEffect, priceEffect, fxEffect });
+		}
+		return rows.sort((a, b) => a.symbol.localeCompare(b.symbol));
+	}
+
+	const MAX_GOAL_MONTHS = 1200; // 100 years
+	const monthlyRate = (annualPct) => Math.pow(1 + (+annualPct || 0) / 100, 1 / 12) - 1;
+
+	// Monthly compounding: the balance grows for a month, then the contribution lands
+	function monthsToReach(target, monthly, { annualReturn = 0, start = 0 } = {}) {
+		const t = +target || 0;
+		const m = +monthly || 0;
+		const r = monthlyRate(annualReturn);
+		let balance = +start || 0;
+		if (balance >= t) return 0;
+		if (m <= 0 && (r <= 0 || balance <= 0)) return Infinity;
+		for (let n = 1; n <= MAX_GOAL_MONTHS; n++) {
+			balance = balance * (1 + r) + m;
+			if (balance >= t) return n;
+		}
+		return Infinity;
+	}
+
+	// Goals can follow the savings plans instead of a hand-entered monthly amount
+	const goalMonthly = (g) => (g.monthlyFromPlans ? plansMonthly() : +g.monthly || 0);
+
+	function goalStartBalance(g) {
+		if (g.startMode === 'current') return computeTotals().current;
+		if (g.startMode === 'manual') return +g.startBalance || 0;
+		return 0;
+	}
+
+	// Balance path month by month, for the projection chart
+	function projectGoal(g, months) {
+		const r = monthlyRate(g.annualReturn);
+		const horizon = Math.min(MAX_GOAL_MONTHS, isFinite(months) ? Math.max(12, months) : 360);
+		let balance = goalStartBalance(g);
+		const points = [{ x: addMonths(Date.now(), 0), y: balance }];
+		for (let n = 1; n <= horizon; n++) {
+			balance = balance * (1 + r) + goalMonthly(g);
+			points.push({ x: addMonths(Date.now(), n), y: balance });
+		}
+		return points;
+	}
+
+	const addMonths = (ts, n) => {
+		const d = new Date(ts);
+		d.setMonth(d.getMonth() + n);
+		return d.getTime();
+	};
+
+	// ---------- Risk ----------
+	// One ETF's snapshots in the base currency within [from, to]: [{ts, v}]
+	function etfValueSeries(symbol, from = null, to = null) {
+		const entry = priceEntry(symbol);
+		if (!entry) return [];
+		const price = priceCursor(symbol);
+		const out = [];
+		entry.series.ts.forEach((ts) => {
+			if ((from != null && ts < from) || (to != null && ts > to)) return;
+			const v = price(ts);
+			if (v > 0) out.push({ ts, v });
+		});
+		return out;
+	}
+
+	// Growth of 100 held in the actual positions: each step revalues the previous holdings at the new prices,
+	// so buys and sells change the portfolio's value but not this index
+	function portfolioIndexSeries(from = null, to = null) {
+		const trades = purchaseTrades();
+		const times = new Set(trades.map((p) => p.ts));
+		new Set(trades.map((p) => p.symbol)).forEach((sym) => priceEntry(sym)?.series.ts.forEach((ts) => times.add(ts)));
+		const points = [...times].filter((t) => to == null || t <= to).sort((a, b) => a - b);
+		const ledger = createLedger();
+		const prices = {};
+		const unitAt = (sym, t) => (prices[sym] || (prices[sym] = priceCursor(sym)))(t);
+		const last = {}; // symbol -> unit price at the previous point
+		const out = [];
+		let index = null;
+		let ti = 0;
+		points.forEach((t) => {
+			let now = 0;
+			let before = 0;
+			for (const [sym, pos] of Object.entries(ledger.positions)) {
+				const unit = unitAt(sym, t);
+				if (pos.qty > 0 && unit && last[sym]) { now += pos.qty * unit; before += pos.qty * last[sym]; }
 			}
-		},
-		set(key, val) {
-			localStorage.setItem(key, JSON.stringify(val));
-		},
-	};
+			if (index != null && before > 0) index *= now / before;
+			while (ti < trades.length && trades[ti].ts <= t) ledger.apply(trades[ti++]);
+			let held = 0;
+			for (const [sym, pos] of Object.entries(ledger.positions)) {
+				const unit = unitAt(sym, t);
+				if (unit) last[sym] = unit;
+				if (pos.qty > 0 && unit) held += pos.qty * unit;
+			}
+			if (from != null && t < from) return;
+			if (index == null && held > 0) index = 100;
+			if (index != null) out.push({ ts: t, v: index });
+		});
+		return out;
+	}
 
-	// ---------- State ----------
-	let etfs = storage.get(LS_KEYS.etfs, []); // [{symbol, name, prices:[{ts, price}]}]
-	let purchases = storage.get(LS_KEYS.purchases, []); // [{ts, symbol, qty}]
-	// Goals are dynamic: array of {id, name, target, monthly}
-	let goals = storage.get(LS_KEYS.goals, []);
-	if (!Array.isArray(goals)) goals = [];
-	let ui = storage.get(LS_KEYS.ui, { active: 'etfs', expandedEtfs: [] });
-	if (!Array.isArray(ui.expandedEtfs)) ui.expandedEtfs = [];
+	// Volatility (annualized, from log returns over uneven gaps), drawdowns and calendar-month returns of [{ts, v}]
+	function riskStats(points) {
+		if (points.length < 2) return null;
+		let peak = points[0];
+		let maxDrawdown = { depth: 0, peakTs: peak.ts, troughTs: peak.ts };
+		const monthEnd = new Map(); // 'YYYY-MM' -> last value in that month
+		const steps = [];
+		points.forEach((p, i) => {
+			if (p.v > peak.v) peak = p;
+			const depth = p.v / peak.v - 1;
+			if (depth < maxDrawdown.depth) maxDrawdown = { depth, peakTs: peak.ts, troughTs: p.ts };
+			monthEnd.set(ymKey(new Date(p.ts)), p.v);
+			const dt = i ? (p.ts - points[i - 1].ts) / (365 * DAY_MS) : 0;
+			if (dt > 0) steps.push({ r: Math.log(p.v / points[i - 1].v), dt });
+		});
+		const years = steps.reduce((a, b) => a + b.dt, 0);
+		let volatility = null;
+		if (steps.length >= 2 && years > 0) {
+			const mu = steps.reduce((a, b) => a + b.r, 0) / years;
+			volatility = Math.sqrt(steps.reduce((a, b) => a + Math.pow(b.r - mu * b.dt, 2), 0) / years);
+		}
+		// Each month against the previous month's last value; the first one against the start of the range
+		let prev = points[0].v;
+		let bestMonth = null;
+		let worstMonth = null;
+		monthEnd.forEach((v, month) => {
+			const r = v / prev - 1;
+			prev = v;
+			if (!bestMonth || r > bestMonth.r) bestMonth = { month, r };
+			if (!worstMonth || r < worstMonth.r) worstMonth = { month, r };
+		});
+		const lastPoint = points[points.length - 1];
+		return { volatility, maxDrawdown, currentDrawdown: lastPoint.v / peak.v - 1, bestMonth, worstMonth };
+	}
 
-	function reloadState() {
-		etfs = storage.get(LS_KEYS.etfs, []);
-		purchases = storage.get(LS_KEYS.purchases, []);
-		goals = storage.get(LS_KEYS.goals, []);
-		if (!Array.isArray(goals)) goals = [];
-		ui = storage.get(LS_KEYS.ui, { active: 'etfs', expandedEtfs: [] });
-		if (!Array.isArray(ui.expandedEtfs)) ui.expandedEtfs = [];
+	// Pearson correlation of log returns, on calendar days where both series have a value
+	function correlation(a, b) {
+		const dayKey = (ts) => {
+			const d = new Date(ts);
+			return d.getFullYear() * 10000 + d.getMonth() * 100 + d.getDate();
+		};
+		const byDay = new Map(b.map((p) => [dayKey(p.ts), p.v]));
+		const common = a.filter((p) => byDay.has(dayKey(p.ts))).map((p) => [p.v, byDay.get(dayKey(p.ts))]);
+		if (common.length < 4) return null;
+		const ra = [];
+		const rb = [];
+		for (let i = 1; i < common.length; i++) {
+			ra.push(Math.log(common[i][0] / common[i - 1][0]));
+			rb.push(Math.log(common[i][1] / common[i - 1][1]));
+		}
+		const mean = (xs) => xs.reduce((x, y) => x + y, 0) / xs.length;
+		const ma = mean(ra);
+		const mb = mean(rb);
+		let cov = 0;
+		let va = 0;
+		let vb = 0;
+		ra.forEach((x, i) => {
+			cov += (x - ma) * (rb[i] - mb);
+			va += (x - ma) ** 2;
+			vb += (rb[i] - mb) ** 2;
+		});
+		return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : null;
 	}
 
-	const saveEtfs = () => storage.set(LS_KEYS.etfs, etfs);
-	const savePurchases = () => storage.set(LS_KEYS.purchases, purchases);
-	const saveGoals = () => storage.set(LS_KEYS.goals, goals);
-	const saveUi = () => storage.set(LS_KEYS.ui, ui);
+	// ---------- Tax report ----------
+	const COST_METHODS = { fifo: 'FIFO', lifo: 'LIFO', avg: 'Середня ціна' };
 
-		// ---------- Export / Import / Reset ----------
-		function exportAll() {
-			const data = {
-				$schema: 'simple-investor-portfolio.v1',
-				exportedAt: new Date().toISOString(),
-				etfs,
-				purchases,
-				goals,
-				ui,
-			};
-			const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-			const url = URL.createObjectURL(blob);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = `portfolio-export-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`;
-			document.body.appendChild(a);
-			a.click();
-			a.remove();
-			URL.revokeObjectURL(url);
+	// Calendar-year statement in the base currency. Pending plan executions count like everywhere else
+	// (positions, cash, XIRR) and are marked ⏳ among the purchases.
+	function buildYearReport(year, method = ui.costMethod) {
+		const start = new Date(year, 0, 1).getTime();
+		const end = new Date(year + 1, 0, 1).getTime() - 1;
+		const trades = sortedTrades(purchases);
+		const ledger = createLedger(method);
+		const holdings = (ts) => Object.entries(ledger.positions)
+			.filter(([, pos]) => pos.qty > EPS)
+			.sort(([a], [b]) => a.localeCompare(b))
+			.map(([symbol, pos]) => {
+				const price = priceAt(symbol, ts);
+				return { symbol, qty: pos.qty, cost: pos.cost, price, value: price == null ? null : pos.qty * price };
+			});
+		let ti = 0;
+		while (ti < trades.length && trades[ti].ts < start) ledger.apply(trades[ti++]);
+		const opening = holdings(start);
+		const firstDisposal = ledger.disposals.length;
+		const bought = [];
+		while (ti < trades.length && trades[ti].ts <= end) {
+			const p = trades[ti++];
+			ledger.apply(p);
+			if (!isSell(p)) bought.push({ ts: p.ts, symbol: p.pending ? `${p.symbol} ⏳` : p.symbol, qty: p.qty, price: tradeUnitNative(p), currency: etfCurrency(p.symbol), fee: tradeFeeNative(p), amount: tradeAmount(p) });
 		}
+		const disposals = ledger.disposals.slice(firstDisposal).map((d) => ({ ts: d.trade.ts, symbol: d.trade.symbol, qty: d.qty, proceeds: d.proceeds, cost: d.cost, gain: d.gain }));
+		const closing = holdings(end);
+		const income = cash.filter((c) => c.type === 'dividend' && c.ts >= start && c.ts <= end)
+			.sort((a, b) => a.ts - b.ts)
+			.map((c) => ({ ts: c.ts, symbol: c.symbol || '', amount: cashInBase(+c.amount || 0, c), note: c.note || '' }));
+		const sum = (list, key) => list.reduce((a, x) => a + (x[key] || 0), 0);
+		return {
+			year, method, start, end, bought, disposals, income, opening, closing,
+			totals: {
+				bought: sum(bought, 'amount'),
+				proceeds: sum(disposals, 'proceeds'),
+				cost: sum(disposals, 'cost'),
+				gain: sum(disposals, 'gain'),
+				income: sum(income, 'amount'),
+				opening: sum(opening, 'value'),
+				closing: sum(closing, 'value'),
+			},
+		};
+	}
 
-			function importAll(file) {
-			const reader = new FileReader();
-			reader.onload = () => {
-				try {
-					const data = JSON.parse(reader.result);
-					if (!data || typeof data !== 'object') throw new Error('Invalid file');
-					if (!Array.isArray(data.etfs) || !Array.isArray(data.purchases)) throw new Error('Invalid content');
-					etfs = data.etfs || [];
-					purchases = data.purchases || [];
-								goals = Array.isArray(data.goals) ? data.goals : [];
-					ui = data.ui || ui;
-					if (!Array.isArray(ui.expandedEtfs)) ui.expandedEtfs = [];
-					saveEtfs(); savePurchases(); saveGoals(); saveUi();
-					// re-render
-					refreshPurchaseSymbols();
-					setActiveTab(ui.active || 'etfs');
-					alert('Імпорт виконано успішно');
-				} catch (err) {
-					console.error(err);
-					alert('Не вдалося імпортувати файл. Перевірте формат.');
-				}
-			};
-			reader.readAsText(file);
+	// Report as plain tables: rendered on the page, in the printable HTML and in the CSV.
+	// Column types: date, text, qty, money (base currency), native (the row's own currency)
+	function reportSections(r) {
+		const day = (ts) => new Date(ts).toLocaleDateString();
+		const positions = (list) => list.map((x) => [x.symbol, x.qty, x.cost, x.price, x.value]);
+		const positionCols = [['Symbol', 'text'], ['Кількість', 'qty'], ['Собівартість', 'money'], ['Ціна', 'money'], ['Вартість', 'money']];
+		return [
+			{
+				title: 'Підсумок',
+				cols: [['Показник', 'text'], ['Сума', 'money']],
+				rows: [
+					['Куплено (з комісіями)', r.totals.bought],
+					['Виручка від продажів', r.totals.proceeds],
+					['Собівартість проданого', r.totals.cost],
+					['Реалізований прибуток / збиток', r.totals.gain],
+					['Дивіденди', r.totals.income],
+					[`Вартість позицій на ${day(r.start)}`, r.totals.opening],
+					[`Вартість позицій на ${day(r.end)}`, r.totals.closing],
+				],
+			},
+			{
+				title: 'Купівлі',
+				cols: [['Дата', 'date'], ['Symbol', 'text'], ['Кількість', 'qty'], ['Ціна', 'native'], ['Комісія', 'native'], ['Сума', 'money']],
+				rows: r.bought.map((x) => [x.ts, x.symbol, x.qty, x.price, x.fee, x.amount]),
+				currencies: r.bought.map((x) => x.currency),
+			},
+			{
+				title: 'Продажі',
+				cols: [['Дата', 'date'], ['Symbol', 'text'], ['Кількість', 'qty'], ['Виручка', 'money'], ['Собівартість', 'money'], ['Результат', 'money']],
+				rows: r.disposals.map((x) => [x.ts, x.symbol, x.qty, x.proceeds, x.cost, x.gain]),
+			},
+			{
+				title: 'Доходи (дивіденди)',
+				cols: [['Дата', 'date'], ['Symbol', 'text'], ['Сума', 'money'], ['Примітка', 'text']],
+				rows: r.income.map((x) => [x.ts, x.symbol, x.amount, x.note]),
+			},
+			{ title: `Позиції на ${day(r.start)}`, cols: positionCols, rows: positions(r.opening) },
+			{ title: `Позиції на ${day(r.end)}`, cols: positionCols, rows: positions(r.closing) },
+		];
+	}
+
+	function formatReportCell(value, type, currency) {
+		if (value == null || value === '') return type === 'text' ? '' : '—';
+		if (type === 'date') return new Date(value).toLocaleDateString();
+		if (type === 'qty') return value.toFixed(4);
+		if (type === 'money') return fmtCurrency(value);
+		if (type === 'native') return fmtMoney(value, currency);
+		return String(value);
+	}
+
+	// Semicolon-separated with ISO dates and dot decimals, so spreadsheets don't guess; BOM for Excel
+	function reportCsv(r) {
+		const cell = (v) => (/[;"\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+		const lines = [`Звіт за ${r.year};${COST_METHODS[r.method]};${ui.baseCurrency}`];
+		reportSections(r).forEach((sec) => {
+			lines.push('', cell(sec.title), sec.cols.map(([label, type]) => cell(type === 'native' ? `${label} (валюта ETF)` : label)).join(';'));
+			if (sec.currencies) lines[lines.length - 1] += ';Валюта';
+			sec.rows.forEach((row, i) => {
+				const cells = row.map((v, j) => {
+					const type = sec.cols[j][1];
+					if (v == null) return '';
+					if (type === 'date') return new Date(v).toISOString().slice(0, 10);
+					if (typeof v === 'number') return String(+v.toFixed(type === 'qty' ? 6 : 2));
+					return cell(v);
+				});
+				if (sec.currencies) cells.push(sec.currencies[i]);
+				lines.push(cells.join(';'));
+			});
+		});
+		return `\uFEFF${lines.join('\r\n')}\r\n`;
+	}
+
+	// Standalone page with its own styles, for saving or printing
+	function reportHtml(r, title) {
+		const sections = reportSections(r).map((sec) => {
+			const head = sec.cols.map(([label, type]) => `<th class="${type === 'text' || type === 'date' ? '' : 'num'}">${escapeHtml(label)}</th>`).join('');
+			const body = sec.rows.length
+				? sec.rows.map((row, i) => `<tr>${row.map((v, j) => {
+					const type = sec.cols[j][1];
+					return `<td class="${type === 'text' || type === 'date' ? '' : 'num'}">${escapeHtml(formatReportCell(v, type, sec.currencies?.[i]))}</td>`;
+				}).join('')}</tr>`).join('')
+				: `<tr><td colspan="${sec.cols.length}" class="empty">Немає записів</td></tr>`;
+			return `<h2>${escapeHtml(sec.title)}</h2><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+		}).join('');
+		return `<!DOCTYPE html>
+<html lang="uk">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; color: #0f172a; margin: 2rem; }
+h1 { font-size: 1.4rem; margin: 0 0 .25rem; }
+h2 { font-size: 1.1rem; margin: 1.5rem 0 .5rem; }
+.meta { color: #64748b; font-size: .85rem; }
+table { border-collapse: collapse; width: 100%; font-size: .85rem; }
+th, td { border-bottom: 1px solid #e2e8f0; padding: .3rem .5rem; text-align: left; }
+th { color: #64748b; font-weight: 600; }
+.num { text-align: right; }
+.empty { color: #94a3b8; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Метод собівартості: ${escapeHtml(COST_METHODS[r.method])} · Валюта: ${escapeHtml(ui.baseCurrency)} · Сформовано ${escapeHtml(new Date().toLocaleString())}</div>
+${sections}
+</body>
+</html>
+`;
+	}
+
+	// ---------- Alerts ----------
+	const ALERT_TYPES = {
+		price: 'Ціна ETF',
+		pl: 'P/L портфеля',
+		stale: 'Немає нових цін',
+		goal: 'Ціль досягнута',
+	};
+	const ALERT_OPS = { below: 'нижче', above: 'вище' };
+	// Saving any of these can change whether a rule holds
+	const ALERT_INPUTS = ['etfs', 'purchases', 'fx', 'goals', 'alerts'];
+
+	function describeAlert(a) {
+		switch (a.type) {
+			case 'price': return `${a.symbol} ${ALERT_OPS[a.op]} ${fmtMoney(a.value, a.currency || 'EUR')}`;
+			case 'pl': return `P/L портфеля ${ALERT_OPS[a.op]} ${a.value}%`;
+			case 'stale': return `${a.symbol || 'Будь-який ETF'} без нової ціни ${a.days} дн.`;
+			case 'goal': return `Ціль «${goals.find((g) => g.id === a.goalId)?.name || 'видалена'}» досягнута`;
+			default: return a.type;
 		}
+	}
 
-			function resetAll() {
-			if (!confirm('Скинути всі дані? Це дію не можна відмінити.')) return;
-			etfs = [];
-			purchases = [];
-			goals = [];
-			ui = { active: 'etfs', expandedEtfs: [] };
-			saveEtfs(); savePurchases(); saveGoals(); saveUi();
-			refreshPurchaseSymbols();
-			setActiveTab('etfs');
+	// { hit, text } for one rule, or null when it can't be judged yet (no price, no FX, no trades)
+	function checkAlert(a, totals, now) {
+		const crossed = (v) => (a.op === 'above' ? v > a.value : v < a.value);
+		switch (a.type) {
+			case 'price': {
+				const raw = rawLatestPrice(a.symbol);
+				// The threshold stays in the currency it was set in, whatever the base currency is now
+				const rate = fxRate(etfCurrency(a.symbol), a.currency || 'EUR', Infinity);
+				if (raw == null || rate == null) return null;
+				const price = raw * rate;
+				return { hit: crossed(price), text: `${a.symbol}: ${fmtMoney(price, a.currency || 'EUR')}` };
+			}
+			case 'pl':
+				if (!totals.bought) return null;
+				return { hit: crossed(totals.plPct), text: `P/L: ${totals.plPct.toFixed(2)}% (${fmtCurrency(totals.pl)})` };
+			case 'stale': {
+				const symbols = a.symbol ? [a.symbol] : etfs.map((e) => e.symbol);
+				const stale = symbols.filter((sym) => {
+					const ts = priceEntry(sym)?.series.ts || [];
+					return !ts.length || now - ts[ts.length - 1] > a.days * DAY_MS;
+				});
+				return { hit: stale.length > 0, text: `Без нових цін: ${stale.join(', ')}` };
+			}
+			case 'goal': {
+				const g = goals.find((x) => x.id === a.goalId);
+				if (!g || !(g.target > 0)) return null;
+				return { hit: totals.current >= g.target, text: `${fmtCurrency(totals.current)} з ${fmtCurrency(g.target)}` };
+			}
+			default: return null;
 		}
+	}
 
-	// ---------- Price lookup ----------
-	function latestPrice(symbol) {
-		const e = etfs.find((x) => x.symbol === symbol);
-		if (!e || !e.prices?.length) return null;
-		return e.prices.reduce((a, b) => (a.ts > b.ts ? a : b)).price;
+	// Fired alerts that are neither acknowledged nor snoozed
+	const isAlertUnread = (id, now = Date.now()) => {
+		const st = alertState[id];
+		return !!st && !st.ack && !(st.snoozedUntil > now);
+	};
+
+	// A rule fires when its condition becomes true and re-arms once it is false again
+	function evaluateAlerts() {
+		if (isConsolidated()) return updateAlertBadge();
+		const now = Date.now();
+		const totals = computeTotals();
+		const fired = [];
+		const ids = new Set(alerts.map((a) => a.id));
+		let changed = false;
+		Object.keys(alertState).forEach((id) => {
+			if (!ids.has(id)) { delete alertState[id]; changed = true; }
+		});
+		alerts.forEach((a) => {
+			const res = checkAlert(a, totals, now);
+			const st = alertState[a.id];
+			if (res?.hit && !st) {
+				alertState[a.id] = { since: now, text: res.text };
+				fired.push(a);
+				changed = true;
+			} else if (res?.hit && st.text !== res.text) {
+				st.text = res.text;
+				changed = true;
+			} else if (res && !res.hit && st) {
+				delete alertState[a.id];
+				changed = true;
+			}
+		});
+		if (changed) saveAlertState();
+		fired.filter((a) => a.notify).forEach(notifyAlert);
+		updateAlertBadge();
 	}
 
-	function priceAt(symbol, ts) {
-		const e = etfs.find((x) => x.symbol === symbol);
-		if (!e || !e.prices?.length) return null;
-		// Best price is the most recent snapshot at or before ts; fallback to closest overall
-		const sorted = [...e.prices].sort((a, b) => a.ts - b.ts);
-		let candidate = null;
-		for (const p of sorted) {
-			if (p.ts <= ts) candidate = p; else break;
+	// Saves from one tick are checked once, after all of them have landed
+	let alertCheckQueued = false;
+	function scheduleAlertCheck() {
+		if (alertCheckQueued) return;
+		alertCheckQueued = true;
+		queueMicrotask(() => {
+			alertCheckQueued = false;
+			evaluateAlerts();
+		});
+	}
+
+	function notifyAlert(a) {
+		if (!('Notification' in window) || Notification.permission !== 'granted') return;
+		try {
+			new Notification(`🔔 ${describeAlert(a)}`, { body: alertState[a.id].text, tag: a.id });
+		} catch (err) {
+			// Some mobile browsers only allow notifications from a service worker
+			console.warn('Notification failed:', err);
 		}
-		if (candidate) return candidate.price;
-		// fallback closest
-		let closest = sorted[0];
-		let minDiff = Math.abs(sorted[0].ts - ts);
-		for (const p of sorted) {
-			const diff = Math.abs(p.ts - ts);
-			if (diff < minDiff) { minDiff = diff; closest = p; }
+	}
+
+	function updateAlertBadge() {
+		const el = $('#alerts-badge');
+		if (!el) return;
+		const now = Date.now();
+		const unread = alerts.filter((a) => isAlertUnread(a.id, now)).length;
+		el.textContent = String(unread);
+		el.classList.toggle('hidden', !unread);
+	}
+
+	// ---------- Monte Carlo ----------
+	// Annual log-return drift and volatility of the current holdings mix, estimated from snapshot history
+	// (constant weights by current value; every ETF must have a price on the common window)
+	function estimateReturnStats() {
+		const ledger = buildLedger();
+		let weights = Object.entries(ledger.positions)
+			.map(([sym, pos]) => ({ sym, value: pos.qty * (latestPrice(sym) ?? 0) }))
+			.filter((x) => x.value > 0);
+		if (!weights.length) weights = etfs.filter((e) => e.prices?.length).map((e) => ({ sym: e.symbol, value: 1 }));
+		const total = weights.reduce((a, b) => a + b.value, 0);
+		if (!total) return null;
+		weights = weights.map((x) => ({ ...x, w: x.value / total }));
+		const series = weights.map((x) => etfs.find((e) => e.symbol === x.sym)?.prices || []);
+		if (series.some((list) => list.length < 2)) return null;
+		const startTs = Math.max(...series.map((list) => Math.min(...list.map((p) => p.ts))));
+		const endTs = Math.min(...series.map((list) => Math.max(...list.map((p) => p.ts))));
+		const times = [...new Set(series.flatMap((list) => list.map((p) => p.ts)))].filter((t) => t >= startTs && t <= endTs).sort((a, b) => a - b);
+		if (times.length < 3) return null;
+		const steps = [];
+		for (let i = 1; i < times.length; i++) {
+			let gross = 0;
+			let ok = true;
+			weights.forEach((x) => {
+				const a = priceAt(x.sym, times[i - 1]);
+				const b = priceAt(x.sym, times[i]);
+				if (!a || b == null) ok = false; else gross += x.w * (b / a);
+			});
+			if (ok && gross > 0) steps.push({ r: Math.log(gross), dt: (times[i] - times[i - 1]) / (365 * DAY_MS) });
 		}
-		return closest?.price ?? null;
+		const years = steps.reduce((a, b) => a + b.dt, 0);
+		if (!years) return null;
+		const mu = steps.reduce((a, b) => a + b.r, 0) / years;
+		const variance = steps.reduce((a, b) => a + Math.pow(b.r - mu * b.dt, 2), 0) / years;
+		return { mu, sigma: Math.sqrt(variance), years };
 	}
 
-	// ---------- Calculations ----------
-	function computeTotals() {
-		let invested = 0;
-		let current = 0;
-		for (const p of purchases) {
-			const unitAtBuy = priceAt(p.symbol, p.ts);
-			const unitNow = latestPrice(p.symbol);
-			if (unitAtBuy != null) invested += p.qty * unitAtBuy;
-			if (unitNow != null) current += p.qty * unitNow;
+	// Pure and self-contained: its source is also shipped to the Web Worker.
+	// Monthly lognormal steps, contribution after growth; returns hit probability and P10/P50/P90 per month.
+	function runMonteCarlo({ start, monthly, target, months, paths, seed, mu, sigma }) {
+		let state = seed >>> 0;
+		const rand = () => { // mulberry32
+			state = (state + 0x6D2B79F5) >>> 0;
+			let t = state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+		const normal = () => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+		const m = Math.max(1, months);
+		const values = new Float64Array(paths * (m + 1));
+		const stepMu = mu / 12;
+		const stepSigma = sigma / Math.sqrt(12);
+		let hits = 0;
+		for (let p = 0; p < paths; p++) {
+			let balance = start;
+			let hit = balance >= target;
+			values[p * (m + 1)] = balance;
+			for (let n = 1; n <= m; n++) {
+				balance = balance * Math.exp(stepMu + stepSigma * normal()) + monthly;
+				if (balance >= target) hit = true;
+				values[p * (m + 1) + n] = balance;
+			}
+			if (hit) hits++;
 		}
-		const pl = current - invested;
-		const plPct = invested > 0 ? (pl / invested) * 100 : 0;
-		return { invested, current, pl, plPct };
+		const pick = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * (sorted.length - 1)))];
+		const bands = [];
+		const column = new Float64Array(paths);
+		for (let n = 0; n <= m; n++) {
+			for (let p = 0; p < paths; p++) column[p] = values[p * (m + 1) + n];
+			column.sort();
+			bands.push({ month: n, p10: pick(column, 0.1), p50: pick(column, 0.5), p90: pick(column, 0.9) });
+		}
+		return { probability: hits / paths, bands };
 	}
 
-			function monthsToReach(target, monthly) {
-				const t = +target || 0;
-				const m = +monthly || 0;
-				if (m <= 0) return Infinity;
-				const remaining = Math.max(0, t);
-				return Math.ceil(remaining / m);
+	// Runs off the main thread; falls back to a deferred in-page run where workers are unavailable
+	function simulateInBackground(params) {
+		return new Promise((resolve, reject) => {
+			if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+				setTimeout(() => { try { resolve(runMonteCarlo(params)); } catch (err) { reject(err); } }, 0);
+				return;
 			}
+			const src = `${runMonteCarlo.toString()}\nself.onmessage = (e) => self.postMessage(runMonteCarlo(e.data));`;
+			const url = URL.createObjectURL(new Blob([src], { type: 'text/javascript' }));
+			const worker = new Worker(url);
+			const done = () => { worker.terminate(); URL.revokeObjectURL(url); };
+			worker.onmessage = (e) => { done(); resolve(e.data); };
+			worker.onerror = (e) => { done(); reject(e); };
+			worker.postMessage(params);
+		});
+	}
 
 	function ymFromMonths(m) {
 		if (!isFinite(m)) return { y: '∞', m: '' };
@@ -180,6 +3248,11 @@
 	// ---------- Rendering ----------
 	function setActiveTab(tab) {
 		ui.active = tab; saveUi();
+		$$('[data-role="base-currency"]').forEach((el) => { el.textContent = ui.baseCurrency; });
+		// Per-portfolio editing is hidden in the read-only "all portfolios" view
+		$$('[data-scope="portfolio"]').forEach((el) => el.classList.toggle('hidden', isConsolidated()));
+		$$('[data-scope="consolidated"]').forEach((el) => el.classList.toggle('hidden', !isConsolidated()));
+		updateAlertBadge();
 		$$(".tab-section").forEach((el) => el.classList.add('hidden'));
 		$(`#tab-${tab}`)?.classList.remove('hidden');
 		$$(".tab-btn").forEach((btn) => {
@@ -192,6 +3265,7 @@
 		if (tab === 'etfs') renderEtfs();
 		if (tab === 'purchases') renderPurchases();
 			if (tab === 'dashboard') renderDashboard();
+		if (tab === 'reports') renderReports();
 	}
 
 		function renderEtfs() {
@@ -201,12 +3275,13 @@
 			e.preventDefault();
 			const symbol = $('#etf-symbol').value.trim().toUpperCase();
 			const name = $('#etf-name').value.trim();
+			const currency = $('#etf-currency').value || 'EUR';
 			if (!symbol || !name) return;
 			if (etfs.some((x) => x.symbol === symbol)) {
 				alert('Такий символ вже існує');
 				return;
 			}
-			etfs.push({ symbol, name, prices: [] });
+			etfs.push({ symbol, name, currency, prices: [] });
 			saveEtfs();
 			$('#etf-symbol').value = '';
 			$('#etf-name').value = '';
@@ -214,6 +3289,10 @@
 			refreshPurchaseSymbols();
 		};
 
+		$('#btn-refresh-prices').onclick = () => runPriceRefresh();
+		$('#btn-price-sources').onclick = () => openPriceSources();
+		bindFileDrop($('#price-drop'), $('#price-drop-file'), (file) => runPriceRefresh({ file }));
+
 		const list = $('#etf-list');
 		list.innerHTML = '';
 		const tpl = $('#tpl-etf-item');
@@ -225,6 +3304,14 @@
 				$('[data-field="symbol"]', root).textContent = e.symbol;
 				$('[data-field="name"]', root).textContent = e.name;
 				$('[data-field="pricesCount"]', root).textContent = e.prices?.length || 0;
+				const cur = e.currency || 'EUR';
+				$('[data-field="currency"]', root).textContent = cur;
+				$('[data-field="meta"]', root).textContent = [
+					e.isin,
+					e.ter != null ? `TER ${e.ter}%` : '',
+					DISTRIBUTION_TYPES[e.distribution],
+					ASSET_CLASSES[e.assetClass],
+				].filter(Boolean).map((x) => ` · ${x}`).join('');
 
 								const details = $('[data-role="details"]', root);
 								const toggleBtn = $('[data-action="toggle"]', root);
@@ -246,6 +3333,10 @@
 									toggleBtn.textContent = nowExpanded ? '⬆️' : '⬇️';
 						};
 
+						$('[data-action="refresh"]', root).onclick = () => runPriceRefresh({ symbols: [e.symbol] });
+						$('[data-action="import"]', root).onclick = () => openPriceImport(e);
+						$('[data-action="meta"]', root).onclick = () => openEtfMeta(e);
+
 						$('[data-action="delete"]', root).onclick = () => {
 					if (!confirm(`Видалити ETF ${e.symbol}? Будуть також приховані покупки з цим символом (не видалятимуться).`)) return;
 							etfs = etfs.filter((x) => x.symbol !== e.symbol);
@@ -280,7 +3371,7 @@
 							arr.forEach((p) => {
 								const row = trTpl.content.cloneNode(true);
 								$('[data-field="date"]', row).textContent = fmtDate(p.ts);
-								$('[data-field="price"]', row).textContent = fmtCurrency(p.price);
+								$('[data-field="price"]', row).textContent = fmtMoney(p.price, cur);
 								$('[data-action="remove"]', row).onclick = () => {
 									e.prices.splice(e.prices.indexOf(p), 1);
 									saveEtfs();
@@ -289,7 +3380,7 @@
 								$('[data-action="edit"]', row).onclick = () => {
 									// Simple inline edit via prompts for now
 									const newTsStr = prompt('Нова дата/час (YYYY-MM-DD HH:MM):', new Date(p.ts).toISOString().slice(0,16).replace('T',' '));
-									const newPriceStr = prompt('Нова ціна (€):', String(p.price));
+									const newPriceStr = prompt(`Нова ціна (${cur}):`, String(p.price));
 									if (!newTsStr || !newPriceStr) return;
 									const iso = newTsStr.replace(' ', 'T');
 									const newTs = new Date(iso).getTime();
@@ -309,26 +3400,711 @@
 						renderPriceRows();
 						pricesWrap.appendChild(tableNode);
 
-				// Add price form
-				const addPriceForm = $('[data-role="add-price"]', details);
-				$('[data-input="ts"]', addPriceForm).value = nowLocalDatetime();
-						addPriceForm.onsubmit = (ev) => {
-					ev.preventDefault();
-					const tsVal = $('[data-input="ts"]', addPriceForm).value;
-					const priceVal = parseFloat($('[data-input="price"]', addPriceForm).value);
-					if (!isFinite(priceVal) || priceVal < 0) return;
-					e.prices = e.prices || [];
-					e.prices.push({ ts: parseLocalDatetime(tsVal), price: priceVal });
-					e.prices.sort((a, b) => a.ts - b.ts);
-					saveEtfs();
-							// re-render to refresh counts and lists but keep expansion via ui.expandedEtfs
-							renderEtfs();
-				};
+				// Add price form
+				const addPriceForm = $('[data-role="add-price"]', details);
+				$('[data-input="ts"]', addPriceForm).value = nowLocalDatetime();
+				$('[data-input="price"]', addPriceForm).placeholder = `Ціна, ${currencySign(cur).trim()}`;
+						addPriceForm.onsubmit = (ev) => {
+					ev.preventDefault();
+					const tsVal = $('[data-input="ts"]', addPriceForm).value;
+					const priceVal = parseFloat($('[data-input="price"]', addPriceForm).value);
+					if (!isFinite(priceVal) || priceVal < 0) return;
+					addPriceSnapshots(e, [{ ts: parseLocalDatetime(tsVal), price: priceVal }]);
+					saveEtfs();
+							// re-render to refresh counts and lists but keep expansion via ui.expandedEtfs
+							renderEtfs();
+				};
+
+				list.appendChild(node);
+			});
+			// refresh ETF chart controls (symbols)
+			buildEtfChartControls();
+			renderFx();
+	}
+
+	// FX snapshots for every non-EUR currency (EUR is the pivot, so it needs none)
+	function renderFx() {
+		const form = $('#form-add-fx');
+		const curEl = $('#fx-currency');
+		const tsEl = $('#fx-ts');
+		const rateEl = $('#fx-rate');
+		tsEl.value = nowLocalDatetime();
+		form.onsubmit = (ev) => {
+			ev.preventDefault();
+			const currency = curEl.value;
+			const rate = parseFloat(rateEl.value);
+			if (!CURRENCIES[currency] || currency === 'EUR' || !isFinite(rate) || rate <= 0) return;
+			let f = fx.find((x) => x.currency === currency);
+			if (!f) { f = { currency, rates: [] }; fx.push(f); }
+			addFxRates(f, [{ ts: parseLocalDatetime(tsEl.value), rate }]);
+			saveFx();
+			rateEl.value = '';
+			renderFx();
+		};
+
+		const rows = $('#fx-rows');
+		rows.innerHTML = '';
+		const used = new Set(etfs.map((e) => e.currency || 'EUR'));
+		used.add(ui.baseCurrency);
+		const missing = [...used].filter((c) => c !== 'EUR' && !fx.find((x) => x.currency === c)?.rates?.length);
+		$('#fx-missing').textContent = missing.length ? `Немає курсів для: ${missing.join(', ')}` : '';
+		fx.slice().sort((a, b) => a.currency.localeCompare(b.currency)).forEach((f) => {
+			(f.rates || []).slice().sort((a, b) => b.ts - a.ts).forEach((r) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				tr.innerHTML = `<td class="py-2"></td><td class="py-2"></td><td class="py-2"></td><td class="py-2 text-right"><button data-action="remove" class="px-2 py-1 rounded-md bg-red-50 text-red-700 hover:bg-red-100 dark:bg-red-900/20 dark:text-red-300" title="Видалити">🗑️</button></td>`;
+				tr.children[0].textContent = fmtDate(r.ts);
+				tr.children[1].textContent = f.currency;
+				tr.children[2].textContent = `1 ${f.currency} = ${r.rate} EUR`;
+				$('[data-action="remove"]', tr).onclick = () => {
+					f.rates.splice(f.rates.indexOf(r), 1);
+					if (!f.rates.length) fx = fx.filter((x) => x !== f);
+					saveFx();
+					renderFx();
+				};
+				rows.appendChild(tr);
+			});
+		});
+	}
+
+	// ISIN, TER, distribution, asset class and the region/sector tables of one ETF
+	function openEtfMeta(e) {
+		const dlg = $('#dlg-etf-meta');
+		const field = (name) => $(`[data-input="${name}"]`, dlg);
+		const errorEl = $('[data-role="error"]', dlg);
+		$('[data-field="symbol"]', dlg).textContent = `${e.symbol} — ${e.name}`;
+		field('assetClass').innerHTML = '<option value="">—</option>';
+		Object.entries(ASSET_CLASSES).forEach(([value, label]) => {
+			const opt = document.createElement('option');
+			opt.value = value;
+			opt.textContent = label;
+			field('assetClass').appendChild(opt);
+		});
+		field('isin').value = e.isin || '';
+		field('ter').value = e.ter != null ? String(e.ter) : '';
+		field('distribution').value = e.distribution || '';
+		field('assetClass').value = e.assetClass || '';
+		field('regions').value = formatWeights(e.regions);
+		field('sectors').value = formatWeights(e.sectors);
+		errorEl.textContent = '';
+		// A factsheet export can be loaded into either table as is
+		['regions', 'sectors'].forEach((k) => {
+			const fileEl = field(`${k}-file`);
+			fileEl.value = '';
+			fileEl.onchange = () => {
+				const file = fileEl.files?.[0];
+				if (!file) return;
+				const reader = new FileReader();
+				reader.onload = () => { field(k).value = reader.result; };
+				reader.readAsText(file);
+				fileEl.value = '';
+			};
+		});
+
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		$('[data-action="save"]', dlg).onclick = () => {
+			const isin = field('isin').value.replace(/\s+/g, '').toUpperCase();
+			const terStr = field('ter').value.trim().replace(',', '.');
+			// Number() rather than parseFloat(): "0.2abc" is a typo, not 0.2
+			const ter = Number(terStr);
+			const errors = [];
+			if (isin && !ISIN_RE.test(isin)) errors.push('ISIN має вигляд «IE00B4L5Y983» (12 символів).');
+			if (terStr && !(isFinite(ter) && ter >= 0 && ter <= 100)) errors.push('TER має бути числом від 0 до 100 (%).');
+			const tables = {};
+			[['regions', 'Регіони'], ['sectors', 'Сектори']].forEach(([k, label]) => {
+				try {
+					tables[k] = parseWeights(field(k).value);
+				} catch (err) {
+					errors.push(`${label}: ${err.message}.`);
+				}
+			});
+			if (errors.length) {
+				errorEl.textContent = errors.join(' ');
+				return;
+			}
+			const values = { isin, ter: terStr ? ter : null, distribution: field('distribution').value, assetClass: field('assetClass').value, ...tables };
+			Object.entries(values).forEach(([k, v]) => {
+				if (v == null || v === '') delete e[k]; else e[k] = v;
+			});
+			saveEtfs();
+			dlg.close();
+			renderEtfs();
+		};
+		dlg.showModal();
+	}
+
+	// CSV price history import: file or pasted text -> column mapping -> preview -> merge into e.prices
+	function openPriceImport(e, save = () => { saveEtfs(); renderEtfs(); }) {
+		const dlg = $('#dlg-price-import');
+		const fileEl = $('[data-input="file"]', dlg);
+		const textEl = $('[data-input="text"]', dlg);
+		const headerEl = $('[data-input="header"]', dlg);
+		const dateColEl = $('[data-input="date-col"]', dlg);
+		const priceColEl = $('[data-input="price-col"]', dlg);
+		const dateFmtEl = $('[data-input="date-format"]', dlg);
+		const decimalEl = $('[data-input="decimal"]', dlg);
+		const modeEl = $('[data-input="mode"]', dlg);
+		const previewEl = $('[data-role="preview"]', dlg);
+		const summaryEl = $('[data-role="summary"]', dlg);
+		$('[data-field="symbol"]', dlg).textContent = e.symbol;
+		fileEl.value = '';
+		textEl.value = '';
+		previewEl.innerHTML = '';
+		summaryEl.textContent = '';
+		dateFmtEl.innerHTML = DATE_FORMATS.map((f) => `<option value="${f.id}">${f.id}</option>`).join('');
+
+		let rows = [];
+		let parsed = [];
+
+		const dataRows = () => (headerEl.checked ? rows.slice(1) : rows);
+
+		// Re-detect mapping and formats whenever the source text changes
+		function loadText(text) {
+			rows = parseCsv(text);
+			const header = headerEl.checked && rows[0] ? rows[0] : [];
+			const width = Math.max(0, ...rows.map((r) => r.length));
+			// Header cells come from the file, so they only ever go in as text
+			[dateColEl, priceColEl].forEach((el) => {
+				el.innerHTML = '';
+				for (let i = 0; i < width; i++) el.add(new Option(`${i + 1}${header[i] ? `: ${header[i]}` : ''}`, String(i)));
+			});
+			dateColEl.value = String(guessColumn(header, /date|datum|дата|time/i, 0));
+			priceColEl.value = String(guessColumn(header, /close|schluss|price|kurs|ціна|nav|value/i, Math.min(1, width - 1)));
+			detectFormats();
+		}
+
+		function detectFormats() {
+			const body = dataRows();
+			dateFmtEl.value = detectDateFormat(body.map((r) => r[+dateColEl.value] || ''));
+			decimalEl.value = detectDecimal(body.map((r) => r[+priceColEl.value] || ''));
+			renderPreview();
+		}
+
+		function renderPreview() {
+			const existing = new Set((e.prices || []).map((p) => p.ts));
+			parsed = dataRows().map((r) => {
+				const ts = parseDateAs(r[+dateColEl.value] || '', dateFmtEl.value);
+				const price = parseDecimal(r[+priceColEl.value] || '', decimalEl.value);
+				const ok = ts != null && isFinite(price) && price >= 0;
+				return { ts, price, ok, dup: ok && existing.has(ts), raw: r };
+			});
+			const valid = parsed.filter((x) => x.ok);
+			const dups = valid.filter((x) => x.dup).length;
+			summaryEl.textContent = `Рядків: ${parsed.length} · нових: ${valid.length - dups} · дублікатів: ${dups} · помилок: ${parsed.length - valid.length}`;
+			previewEl.innerHTML = '';
+			parsed.slice(0, 20).forEach((x) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				[x.raw.join(' | '), x.ts != null ? fmtDate(x.ts) : '—', isFinite(x.price) ? fmtMoney(x.price, e.currency || 'EUR') : '—', !x.ok ? 'помилка' : x.dup ? 'дублікат' : 'новий'].forEach((text) => {
+					const td = document.createElement('td');
+					td.className = 'py-1 pr-2';
+					td.textContent = text;
+					tr.appendChild(td);
+				});
+				if (!x.ok) tr.classList.add('text-red-600');
+				else if (x.dup) tr.classList.add('text-amber-600');
+				previewEl.appendChild(tr);
+			});
+		}
+
+		fileEl.onchange = () => {
+			const file = fileEl.files?.[0];
+			if (!file) return;
+			const reader = new FileReader();
+			reader.onload = () => { textEl.value = reader.result; loadText(textEl.value); };
+			reader.readAsText(file);
+		};
+		textEl.oninput = () => loadText(textEl.value);
+		headerEl.onchange = () => loadText(textEl.value);
+		dateColEl.onchange = detectFormats;
+		priceColEl.onchange = detectFormats;
+		dateFmtEl.onchange = renderPreview;
+		decimalEl.onchange = renderPreview;
+
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		$('[data-action="apply"]', dlg).onclick = () => {
+			const valid = parsed.filter((x) => x.ok);
+			if (!valid.length) { alert('Немає коректних рядків для імпорту.'); return; }
+			const res = addPriceSnapshots(e, valid, modeEl.value === 'overwrite' ? 'overwrite' : 'skip');
+			dlg.close();
+			save();
+			alert(`Імпортовано: нових ${res.added}, перезаписано ${res.overwritten}, пропущено ${res.skipped}`);
+		};
+		dlg.showModal();
+	}
+
+	// Drop a file onto the zone, or click it (the zone is a label around a hidden file input)
+	function bindFileDrop(zone, fileEl, onFile) {
+		zone.ondragover = (ev) => { ev.preventDefault(); zone.classList.add('border-indigo-400'); };
+		zone.ondragleave = () => zone.classList.remove('border-indigo-400');
+		zone.ondrop = (ev) => {
+			ev.preventDefault();
+			zone.classList.remove('border-indigo-400');
+			const file = ev.dataTransfer?.files?.[0];
+			if (file) onFile(file);
+		};
+		fileEl.onchange = () => {
+			const file = fileEl.files?.[0];
+			fileEl.value = '';
+			if (file) onFile(file);
+		};
+	}
+
+	// Price refresh from the ETF tab: all ETFs, one ETF ({ symbols }) or a dropped file ({ file })
+	async function runPriceRefresh(opts = {}) {
+		if (!priceSources.length) { openPriceSources(); return; }
+		const statusEl = $('#price-refresh-status');
+		const buttons = [$('#btn-refresh-prices'), ...$$('#etf-list [data-action="refresh"]')];
+		buttons.forEach((b) => { b.disabled = true; });
+		statusEl.classList.remove('text-red-600');
+		statusEl.textContent = '🔄 Оновлення цін…';
+		try {
+			const results = await refreshPrices(opts);
+			statusEl.textContent = results.length
+				? describePriceRefresh(results)
+				: opts.file ? 'Немає файлових джерел: додайте джерело з адаптером «Файл».' : 'Немає джерел цін для цих ETF.';
+			statusEl.classList.toggle('text-red-600', !results.length || results.some((r) => r.error));
+			if (results.some((r) => r.added || r.overwritten)) renderEtfs();
+		} finally {
+			buttons.forEach((b) => { b.disabled = false; });
+		}
+	}
+
+	// Price sources editor; the file adapter is tried out by dropping a file, the others with 🧪
+	function openPriceSources(selectedId = priceSources[0]?.id || '') {
+		const dlg = $('#dlg-price-sources');
+		const input = (name) => $(`[data-input="${name}"]`, dlg);
+		const TEXT_FIELDS = ['name', 'url', 'itemsPath', 'dateField', 'priceField', 'symbolField'];
+		const sourceEl = input('source');
+		const adapterEl = input('adapter');
+		const formatEl = input('format');
+		const proxyEl = input('proxy');
+		const dateFmtEl = input('dateFormat');
+		const tickersEl = $('[data-role="tickers"]', dlg);
+		const previewEl = $('[data-role="preview"]', dlg);
+		const errorEl = $('[data-role="error"]', dlg);
+		const deleteBtn = $('[data-action="delete"]', dlg);
+		const runButtons = ['test', 'refresh'].map((a) => $(`[data-action="${a}"]`, dlg));
+		let tickerRows = [];
+
+		adapterEl.innerHTML = Object.entries(PRICE_ADAPTERS).map(([id, a]) => `<option value="${id}">${a.label}</option>`).join('');
+		dateFmtEl.innerHTML = '<option value="auto">Автоматично</option>' + DATE_FORMATS.map((f) => `<option value="${f.id}">${f.id}</option>`).join('');
+
+		const fillSelect = () => {
+			sourceEl.innerHTML = '';
+			[...priceSources, { id: '', name: '➕ Нове джерело' }].forEach((src) => {
+				const opt = document.createElement('option');
+				opt.value = src.id;
+				opt.textContent = src.name;
+				sourceEl.appendChild(opt);
+			});
+			sourceEl.value = selectedId;
+		};
+		const current = () => priceSources.find((x) => x.id === sourceEl.value);
+
+		const toggle = () => {
+			$$('[data-show]', dlg).forEach((el) => el.classList.toggle('hidden', el.dataset.show !== adapterEl.value));
+			$$('[data-show-format]', dlg).forEach((el) => el.classList.toggle('hidden', el.dataset.showFormat !== formatEl.value));
+		};
+
+		const showPreview = (text, isError = false) => {
+			previewEl.textContent = text;
+			previewEl.classList.remove('hidden');
+			previewEl.classList.toggle('text-red-600', isError);
+		};
+
+		const load = () => {
+			const src = current() || { adapter: 'http', format: 'json', proxy: false, dateFormat: 'auto', tickers: {} };
+			TEXT_FIELDS.forEach((k) => { input(k).value = src[k] || ''; });
+			adapterEl.value = src.adapter;
+			formatEl.value = src.format;
+			proxyEl.checked = !!src.proxy;
+			dateFmtEl.value = src.dateFormat || 'auto';
+			tickersEl.innerHTML = '';
+			tickerRows = [...etfs].sort((a, b) => a.symbol.localeCompare(b.symbol)).map((e) => {
+				const row = document.createElement('label');
+				row.className = 'flex items-center gap-2 text-sm';
+				const check = document.createElement('input');
+				check.type = 'checkbox';
+				check.className = 'rounded';
+				check.checked = e.symbol in (src.tickers || {});
+				const name = document.createElement('span');
+				name.className = 'w-20 font-medium';
+				name.textContent = e.symbol;
+				const ticker = document.createElement('input');
+				ticker.type = 'text';
+				ticker.placeholder = `тікер, типово ${e.symbol}`;
+				ticker.value = src.tickers?.[e.symbol] || '';
+				ticker.className = 'flex-1 px-2 py-1 rounded-md border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950';
+				ticker.oninput = () => { if (ticker.value.trim()) check.checked = true; };
+				row.append(check, name, ticker);
+				tickersEl.appendChild(row);
+				return { symbol: e.symbol, check, ticker };
+			});
+			if (!etfs.length) tickersEl.textContent = 'Спочатку додайте ETF.';
+			deleteBtn.disabled = !current();
+			errorEl.textContent = '';
+			previewEl.classList.add('hidden');
+			toggle();
+		};
+
+		const readForm = () => {
+			const src = { id: current()?.id || `src_${Date.now()}`, adapter: adapterEl.value, format: formatEl.value, proxy: proxyEl.checked, dateFormat: dateFmtEl.value, tickers: {} };
+			TEXT_FIELDS.forEach((k) => { src[k] = input(k).value.trim(); });
+			tickerRows.filter((r) => r.check.checked).forEach((r) => { src.tickers[r.symbol] = r.ticker.value.trim() || r.symbol; });
+			if (!src.name) src.name = PRICE_ADAPTERS[src.adapter].label;
+			let problem = '';
+			if (src.adapter === 'http' && !/^(https?:\/\/|\.{0,2}\/)/i.test(src.url)) problem = 'Вкажіть URL: http(s)://… або ./… для цього сервера.';
+			else if (!src.dateField || !src.priceField) problem = 'Вкажіть поля дати й ціни.';
+			return { src, problem };
+		};
+
+		const store = () => {
+			const { src, problem } = readForm();
+			errorEl.textContent = problem;
+			if (problem) return null;
+			const i = priceSources.findIndex((x) => x.id === src.id);
+			if (i >= 0) priceSources[i] = src; else priceSources.push(src);
+			savePriceSources();
+			selectedId = src.id;
+			fillSelect();
+			deleteBtn.disabled = false;
+			return src;
+		};
+
+		const busy = async (fn) => {
+			runButtons.forEach((b) => { b.disabled = true; });
+			try {
+				await fn();
+			} finally {
+				runButtons.forEach((b) => { b.disabled = false; });
+			}
+		};
+
+		const apply = (src, file = null) => busy(async () => {
+			showPreview('🔄 Оновлення цін…');
+			const results = await refreshPrices({ sources: [src], file });
+			showPreview(results.length ? describePriceRefresh(results).split(' · ').join('\n') : 'Джерело не обслуговує жодного ETF.', !results.length || results.some((r) => r.error));
+			if (results.some((r) => r.added || r.overwritten)) renderEtfs();
+		});
+
+		fillSelect();
+		load();
+		sourceEl.onchange = () => { selectedId = sourceEl.value; load(); };
+		adapterEl.onchange = toggle;
+		formatEl.onchange = toggle;
+
+		// Dry run against the first ETF the source serves; nothing is saved
+		$('[data-action="test"]', dlg).onclick = () => {
+			const { src, problem } = readForm();
+			errorEl.textContent = problem;
+			if (problem) return;
+			const [target] = priceTargets(src);
+			if (!target) { showPreview('Джерело не обслуговує жодного ETF.', true); return; }
+			busy(async () => {
+				showPreview(`🧪 ${fillPriceUrl(src.url, target)}`);
+				let result;
+				try {
+					[result] = await loadSourceQuotes(src, [target]);
+				} catch (err) {
+					result = { error: err.message };
+				}
+				const head = `${target.etf.symbol} (${target.ticker}) ← ${fillPriceUrl(src.url, target)}`;
+				if (result.error) { showPreview(`${head}\n⚠️ ${result.error}`, true); return; }
+				const sorted = [...result.quotes].sort((x, y) => x.ts - y.ts);
+				const first = sorted[0];
+				const last = sorted[sorted.length - 1];
+				showPreview([
+					head,
+					`Котирувань: ${result.quotes.length}${result.invalid ? `, пропущено рядків: ${result.invalid}` : ''}`,
+					`Перше: ${fmtDate(first.ts)} — ${first.price}`,
+					`Останнє: ${fmtDate(last.ts)} — ${last.price}`,
+				].join('\n'));
+			});
+		};
+		$('[data-action="save"]', dlg).onclick = () => { if (store()) showPreview('Збережено.'); };
+		$('[data-action="refresh"]', dlg).onclick = () => {
+			const src = store();
+			if (src) apply(src);
+		};
+		bindFileDrop($('[data-role="drop"]', dlg), input('file'), (file) => {
+			const src = store();
+			if (src) apply(src, file);
+		});
+		deleteBtn.onclick = () => {
+			const src = current();
+			if (!src || !confirm(`Видалити джерело «${src.name}»?`)) return;
+			priceSources = priceSources.filter((x) => x !== src);
+			savePriceSources();
+			selectedId = priceSources[0]?.id || '';
+			fillSelect();
+			load();
+		};
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		dlg.showModal();
+	}
+
+	// Tickers as brokers print them (IWDA, VWCE.DE, BRK-B); any other symbol cell makes the row an error
+	const TICKER_RE = /^[A-Z0-9.\-]{1,15}$/;
+
+	// Broker statement import: CSV -> saved column-mapping profile -> purchases, skipping already known trades
+	function openTradeImport() {
+		const dlg = $('#dlg-trade-import');
+		const input = (name) => $(`[data-input="${name}"]`, dlg);
+		const fileEl = input('file');
+		const textEl = input('text');
+		const headerEl = input('header');
+		const profileEl = input('profile');
+		const profileNameEl = input('profile-name');
+		const dateFmtEl = input('date-format');
+		const decimalEl = input('decimal');
+		const sellPatternEl = input('sell-pattern');
+		const cols = {
+			date: input('date-col'),
+			symbol: input('symbol-col'),
+			qty: input('qty-col'),
+			price: input('price-col'),
+			fee: input('fee-col'),
+			side: input('side-col'),
+		};
+		const optional = new Set(['price', 'fee', 'side']);
+		const previewEl = $('[data-role="preview"]', dlg);
+		const summaryEl = $('[data-role="summary"]', dlg);
+		const unknownEl = $('[data-role="unknown"]', dlg);
+		const errorEl = $('[data-role="error"]', dlg);
+		const applyBtn = $('[data-action="apply"]', dlg);
+		fileEl.value = '';
+		textEl.value = '';
+		previewEl.innerHTML = '';
+		summaryEl.textContent = '';
+		unknownEl.innerHTML = '';
+		errorEl.textContent = '';
+		applyBtn.disabled = false;
+		dateFmtEl.innerHTML = DATE_FORMATS.map((f) => `<option value="${f.id}">${f.id}</option>`).join('');
+
+		let rows = [];
+		let header = [];
+		let parsed = [];
+
+		const dataRows = () => (headerEl.checked ? rows.slice(1) : rows);
+		const cell = (r, key) => (cols[key].value === '' ? '' : r[+cols[key].value] || '');
+		// null while the pattern doesn't compile, e.g. half-typed "^(sell"
+		const sellRegExp = () => {
+			try {
+				return new RegExp(sellPatternEl.value.trim() || '^(sell|s|продаж|verkauf)$', 'i');
+			} catch (err) {
+				return null;
+			}
+		};
+
+		function fillProfiles() {
+			profileEl.innerHTML = '<option value="">— без профілю —</option>';
+			importProfiles.forEach((pr) => profileEl.add(new Option(pr.name, pr.id)));
+		}
+
+		// Column references keep both the header name and the position; the name wins when present
+		function resolveColumn(ref) {
+			if (!ref) return '';
+			const byName = ref.name ? header.indexOf(ref.name) : -1;
+			if (byName >= 0) return String(byName);
+			return ref.index != null && ref.index < Math.max(header.length, rows[0]?.length || 0) ? String(ref.index) : '';
+		}
+
+		function applyProfile(pr) {
+			headerEl.checked = pr.header !== false;
+			loadText(textEl.value, false);
+			Object.keys(cols).forEach((key) => { cols[key].value = resolveColumn(pr.columns?.[key]); });
+			if (pr.dateFormat) dateFmtEl.value = pr.dateFormat;
+			if (pr.decimal) decimalEl.value = pr.decimal;
+			sellPatternEl.value = pr.sellPattern || '';
+			renderPreview();
+		}
+
+		function loadText(text, guess = true) {
+			rows = parseCsv(text);
+			header = headerEl.checked && rows[0] ? rows[0] : [];
+			const width = Math.max(0, ...rows.map((r) => r.length));
+			// Header cells come from the statement, so they only ever go in as text
+			Object.entries(cols).forEach(([key, el]) => {
+				el.innerHTML = optional.has(key) ? '<option value="">—</option>' : '';
+				for (let i = 0; i < width; i++) el.add(new Option(`${i + 1}${header[i] ? `: ${header[i]}` : ''}`, String(i)));
+			});
+			if (!guess) return;
+			const pick = (re, fallback) => { const i = guessColumn(header, re, fallback); return i == null ? '' : String(i); };
+			cols.date.value = pick(/date|datum|дата|time/i, 0);
+			cols.symbol.value = pick(/symbol|ticker|тікер|символ|wkn|product|instrument/i, Math.min(1, width - 1));
+			cols.qty.value = pick(/qty|quantity|shares|units|anzahl|кількість|stück/i, Math.min(2, width - 1));
+			cols.price.value = pick(/price|kurs|ціна|rate/i, null);
+			cols.fee.value = pick(/fee|commission|gebühr|комісія|cost/i, null);
+			cols.side.value = pick(/side|typ|action|тип|direction|buy.?sell|transaction/i, null);
+			const body = dataRows();
+			dateFmtEl.value = detectDateFormat(body.map((r) => cell(r, 'date')));
+			decimalEl.value = detectDecimal(body.map((r) => cell(r, 'qty') || cell(r, 'price')));
+			renderPreview();
+		}
+
+		function renderPreview() {
+			// Identical fills (same moment, symbol, side and quantity) are legitimate, so rows are matched by count:
+			// the n-th occurrence in the file is a duplicate only if at least n such trades are already stored
+			const known = new Map();
+			purchases.forEach((p) => known.set(tradeKey(p), (known.get(tradeKey(p)) || 0) + 1));
+			const seen = new Map();
+			const etfSymbols = new Set(etfs.map((e) => e.symbol));
+			const sellRe = sellRegExp();
+			errorEl.textContent = sellRe ? '' : 'Шаблон продажу не є коректним регулярним виразом — імпорт недоступний, доки його не виправлено.';
+			applyBtn.disabled = !sellRe;
+			if (!sellRe) {
+				parsed = [];
+				summaryEl.textContent = '';
+				previewEl.innerHTML = '';
+				return;
+			}
+			parsed = dataRows().map((r) => {
+				const ts = parseDateAs(cell(r, 'date'), dateFmtEl.value);
+				const symbol = cell(r, 'symbol').trim().toUpperCase();
+				const rawQty = parseDecimal(cell(r, 'qty'), decimalEl.value);
+				const price = parseDecimal(cell(r, 'price'), decimalEl.value);
+				const fee = parseDecimal(cell(r, 'fee'), decimalEl.value);
+				// Side column wins; otherwise negative quantities are sales
+				const sell = cols.side.value !== '' ? sellRe.test(cell(r, 'side').trim()) : rawQty < 0;
+				const trade = { symbol, ts, qty: Math.abs(rawQty), side: sell ? 'sell' : 'buy' };
+				if (isFinite(price) && price > 0) trade.price = price;
+				if (isFinite(fee) && fee !== 0) trade.fee = Math.abs(fee);
+				let status = 'new';
+				if (ts == null || !TICKER_RE.test(symbol) || !isFinite(rawQty) || rawQty === 0) status = 'error';
+				else {
+					const k = tradeKey(trade);
+					const n = (seen.get(k) || 0) + 1;
+					seen.set(k, n);
+					if (n <= (known.get(k) || 0)) status = 'duplicate';
+					else if (!etfSymbols.has(symbol)) status = 'unknown';
+				}
+				return { trade, status, raw: r };
+			});
+
+			// Unknown symbols: offer to create them (checked) or skip their rows (unchecked)
+			const prevChoice = new Map($$('input[type="checkbox"]', unknownEl).map((cb) => [cb.value, cb.checked]));
+			const unknown = [...new Set(parsed.filter((x) => x.status === 'unknown').map((x) => x.trade.symbol))].sort();
+			unknownEl.innerHTML = '';
+			if (unknown.length) {
+				const title = document.createElement('div');
+				title.className = 'text-sm text-amber-600';
+				title.textContent = 'Нові символи — створити ETF:';
+				unknownEl.appendChild(title);
+				unknown.forEach((sym) => {
+					const label = document.createElement('label');
+					label.className = 'inline-flex items-center gap-1 text-sm mr-3';
+					label.innerHTML = `<input type="checkbox" class="rounded" ${prevChoice.get(sym) === false ? '' : 'checked'}> `;
+					label.firstElementChild.value = sym;
+					label.append(sym);
+					unknownEl.appendChild(label);
+				});
+			}
+
+			const count = (st) => parsed.filter((x) => x.status === st).length;
+			summaryEl.textContent = `Рядків: ${parsed.length} · нових: ${count('new')} · з новими символами: ${count('unknown')} · дублікатів: ${count('duplicate')} · помилок: ${count('error')}`;
+			const labels = { new: 'новий', unknown: 'новий символ', duplicate: 'дублікат', error: 'помилка' };
+			previewEl.innerHTML = '';
+			parsed.slice(0, 20).forEach(({ trade, status }) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				[
+					trade.ts != null ? fmtDate(trade.ts) : '—',
+					isSell(trade) ? 'Продаж' : 'Купівля',
+					trade.symbol || '—',
+					isFinite(trade.qty) ? trade.qty : '—',
+					trade.price != null ? trade.price : '—',
+					trade.fee != null ? trade.fee : '—',
+					labels[status],
+				].forEach((text) => {
+					const td = document.createElement('td');
+					td.className = 'py-1 pr-2';
+					td.textContent = text;
+					tr.appendChild(td);
+				});
+				if (status === 'error') tr.classList.add('text-red-600');
+				else if (status !== 'new') tr.classList.add('text-amber-600');
+				previewEl.appendChild(tr);
+			});
+		}
+
+		fillProfiles();
+		profileEl.value = ui.importProfile && importProfiles.some((pr) => pr.id === ui.importProfile) ? ui.importProfile : '';
+		profileNameEl.value = importProfiles.find((pr) => pr.id === profileEl.value)?.name || '';
 
-				list.appendChild(node);
+		const reload = () => {
+			const pr = importProfiles.find((x) => x.id === profileEl.value);
+			if (pr) applyProfile(pr); else loadText(textEl.value);
+		};
+		fileEl.onchange = () => {
+			const file = fileEl.files?.[0];
+			if (!file) return;
+			const reader = new FileReader();
+			reader.onload = () => { textEl.value = reader.result; reload(); };
+			reader.readAsText(file);
+		};
+		textEl.oninput = reload;
+		headerEl.onchange = () => loadText(textEl.value);
+		profileEl.onchange = () => {
+			ui.importProfile = profileEl.value; saveUi();
+			profileNameEl.value = importProfiles.find((pr) => pr.id === profileEl.value)?.name || '';
+			reload();
+		};
+		Object.values(cols).forEach((el) => { el.onchange = renderPreview; });
+		[dateFmtEl, decimalEl].forEach((el) => { el.onchange = renderPreview; });
+		sellPatternEl.oninput = renderPreview;
+
+		$('[data-action="save-profile"]', dlg).onclick = () => {
+			const name = profileNameEl.value.trim();
+			if (!name) { alert('Вкажіть назву профілю.'); return; }
+			if (!sellRegExp()) { alert('Виправте шаблон продажу: це некоректний регулярний вираз.'); return; }
+			const columns = {};
+			Object.entries(cols).forEach(([key, el]) => {
+				columns[key] = el.value === '' ? null : { index: +el.value, name: header[+el.value] || null };
 			});
-			// refresh ETF chart controls (symbols)
-			buildEtfChartControls();
+			let pr = importProfiles.find((x) => x.name === name);
+			if (!pr) { pr = { id: `profile_${Date.now()}` }; importProfiles.push(pr); }
+			Object.assign(pr, { name, header: headerEl.checked, columns, dateFormat: dateFmtEl.value, decimal: decimalEl.value, sellPattern: sellPatternEl.value.trim() });
+			saveImportProfiles();
+			ui.importProfile = pr.id; saveUi();
+			fillProfiles();
+			profileEl.value = pr.id;
+		};
+		$('[data-action="delete-profile"]', dlg).onclick = () => {
+			const pr = importProfiles.find((x) => x.id === profileEl.value);
+			if (!pr || !confirm(`Видалити профіль «${pr.name}»?`)) return;
+			importProfiles = importProfiles.filter((x) => x !== pr);
+			saveImportProfiles();
+			fillProfiles();
+			profileEl.value = '';
+			profileNameEl.value = '';
+		};
+
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		applyBtn.onclick = () => {
+			const create = new Set($$('input[type="checkbox"]:checked', unknownEl).map((cb) => cb.value));
+			const accepted = parsed.filter((x) => x.status === 'new' || (x.status === 'unknown' && create.has(x.trade.symbol))).map((x) => x.trade);
+			if (!accepted.length) { alert('Немає нових операцій для імпорту.'); return; }
+			if (wouldOversell(purchases.concat(accepted))) {
+				alert('Імпорт скасовано: продажі у виписці перевищують наявну кількість.');
+				return;
+			}
+			// New ETFs start with the statement prices as their first snapshots
+			create.forEach((symbol) => {
+				if (etfs.some((e) => e.symbol === symbol)) return;
+				const e = { symbol, name: symbol, currency: ui.baseCurrency, prices: [] };
+				addPriceSnapshots(e, accepted.filter((t) => t.symbol === symbol && t.price).map((t) => ({ ts: t.ts, price: t.price })), 'skip');
+				etfs.push(e);
+			});
+			purchases.push(...accepted);
+			if (create.size) saveEtfs();
+			savePurchases();
+			dlg.close();
+			refreshPurchaseSymbols();
+			renderPurchases();
+			alert(`Імпортовано операцій: ${accepted.length}${create.size ? `, створено ETF: ${create.size}` : ''}`);
+		};
+		dlg.showModal();
 	}
 
 	function refreshPurchaseSymbols() {
@@ -352,22 +4128,42 @@
 		refreshPurchaseSymbols();
 		$('#purchase-ts').value = nowLocalDatetime();
 
+		$('#btn-import-trades').onclick = openTradeImport;
+
 		// Form elements
 		const form = $('#form-add-purchase');
+		const sideEl = $('#purchase-side');
 		const symbolEl = $('#purchase-symbol');
 		const tsEl = $('#purchase-ts');
 		const qtyEl = $('#purchase-qty');
 		const sumEl = $('#purchase-sum');
+		const priceEl = $('#purchase-price');
+		const feeEl = $('#purchase-fee');
 		const unitEl = $('#purchase-unit');
+		const heldEl = $('#purchase-held');
 
 		let lastEdited = 'qty'; // 'qty' | 'sum'
 
-		function currentUnit() {
+		// Snapshot price for the chosen symbol/date; prefills the editable execution price
+		function snapshotUnit() {
 			const symbol = symbolEl.value;
 			const ts = parseLocalDatetime(tsEl.value);
-			const unit = priceAt(symbol, ts);
-			unitEl.textContent = unit != null ? fmtCurrency(unit) : '—';
-			return unit;
+			const cur = etfCurrency(symbol);
+			const sign = currencySign(cur).trim();
+			// Price, sum and fee are entered in the ETF's quote currency
+			priceEl.placeholder = `Ціна виконання, ${sign}`;
+			sumEl.placeholder = `Сума, ${sign}`;
+			feeEl.placeholder = `Комісія, ${sign}`;
+			const unit = rawPriceAt(symbol, ts);
+			unitEl.textContent = unit != null ? fmtMoney(unit, cur) : '—';
+			priceEl.value = unit != null ? String(unit) : '';
+			const held = buildLedger(purchases.filter((p) => p.symbol === symbol && p.ts <= ts)).positions[symbol]?.qty || 0;
+			heldEl.textContent = held.toFixed(4);
+		}
+
+		function currentUnit() {
+			const unit = parseFloat(priceEl.value);
+			return isFinite(unit) && unit > 0 ? unit : null;
 		}
 
 		function recalcFromQty() {
@@ -383,9 +4179,10 @@
 		}
 
 		// Bind inputs
-		currentUnit();
-		symbolEl.onchange = () => { currentUnit(); (lastEdited === 'qty' ? recalcFromQty : recalcFromSum)(); };
-		tsEl.onchange = () => { currentUnit(); (lastEdited === 'qty' ? recalcFromQty : recalcFromSum)(); };
+		snapshotUnit();
+		symbolEl.onchange = () => { snapshotUnit(); (lastEdited === 'qty' ? recalcFromQty : recalcFromSum)(); };
+		tsEl.onchange = () => { snapshotUnit(); (lastEdited === 'qty' ? recalcFromQty : recalcFromSum)(); };
+		priceEl.oninput = () => { (lastEdited === 'qty' ? recalcFromQty : recalcFromSum)(); };
 		qtyEl.oninput = () => { lastEdited = 'qty'; recalcFromQty(); };
 		sumEl.oninput = () => { lastEdited = 'sum'; recalcFromSum(); };
 
@@ -409,16 +4206,23 @@
 			const ts = parseLocalDatetime(tsEl.value);
 			let qty = parseFloat(qtyEl.value);
 			const sum = parseFloat(sumEl.value);
-			if ((!isFinite(qty) || qty <= 0) && isFinite(sum) && sum > 0) {
-				const unit = priceAt(symbol, ts);
-				if (unit == null || unit <= 0) { alert('Немає ціни на цю дату для обчислення кількості.'); return; }
-				qty = sum / unit;
-			}
+			const unit = currentUnit();
+			if (unit == null) { alert('Вкажіть ціну виконання.'); return; }
+			if ((!isFinite(qty) || qty <= 0) && isFinite(sum) && sum > 0) qty = sum / unit;
 			if (!symbol || !isFinite(qty) || qty <= 0) return;
-			purchases.push({ symbol, ts, qty });
+			const fee = parseFloat(feeEl.value);
+			if (isFinite(fee) && fee < 0) return;
+			const trade = { symbol, ts, qty, side: sideEl.value === 'sell' ? 'sell' : 'buy', price: unit };
+			if (isFinite(fee) && fee > 0) trade.fee = fee;
+			if (isSell(trade) && wouldOversell(purchases.concat(trade))) {
+				alert('Недостатньо одиниць для продажу на цю дату.');
+				return;
+			}
+			purchases.push(trade);
 			savePurchases();
 			qtyEl.value = '';
 			sumEl.value = '';
+			feeEl.value = '';
 			renderPurchases();
 		};
 
@@ -429,6 +4233,7 @@
 		const node = listTpl.content.cloneNode(true);
 		const rows = $('[data-role="rows"]', node);
 		const fSymbol = $('[data-filter="symbol"]', node);
+		const fSide = $('[data-filter="side"]', node);
 		const fFrom = $('[data-filter="from"]', node);
 		const fTo = $('[data-filter="to"]', node);
 		const fSort = $('[data-filter="sort"]', node);
@@ -443,8 +4248,10 @@
 
 		function renderRows() {
 			rows.innerHTML = '';
+			const gains = new Map(buildLedger().disposals.map((d) => [d.trade, d.gain]));
 			let arr = purchases.slice();
 			if (fSymbol.value) arr = arr.filter(p => p.symbol === fSymbol.value);
+			if (fSide.value) arr = arr.filter(p => (isSell(p) ? 'sell' : 'buy') === fSide.value);
 			const from = fFrom.value ? new Date(fFrom.value).getTime() : null;
 			const to = fTo.value ? new Date(fTo.value).getTime() + 24*3600*1000 - 1 : null;
 			if (from != null) arr = arr.filter(p => p.ts >= from);
@@ -454,15 +4261,33 @@
 				const rowTpl = $('#tpl-purchase-row');
 				const row = rowTpl.content.cloneNode(true);
 				$('[data-field="date"]', row).textContent = fmtDate(p.ts);
+				$('[data-field="side"]', row).textContent = (isSell(p) ? 'Продаж' : 'Купівля') + (p.pending ? ' ⏳' : '');
+				if (p.pending) $('[data-field="side"]', row).title = 'Виконання плану очікує підтвердження';
 				$('[data-field="symbol"]', row).textContent = p.symbol;
-				$('[data-field="qty"]', row).textContent = p.qty;
-				const unit = priceAt(p.symbol, p.ts);
-				const sum = unit != null ? p.qty * unit : null;
-				$('[data-field="unit"]', row).textContent = unit != null ? fmtCurrency(unit) : '—';
+				$('[data-field="qty"]', row).textContent = isSell(p) ? -p.qty : p.qty;
+				const sum = tradeAmount(p);
+				const unitCell = $('[data-field="unit"]', row);
+				const cur = etfCurrency(p.symbol);
+				const unitNative = tradeUnitNative(p);
+				unitCell.textContent = unitNative != null ? fmtMoney(unitNative, cur) : '—';
+				if (!(p.price > 0)) unitCell.title = 'Знімок ціни на дату (ціну виконання не збережено)';
+				$('[data-field="fee"]', row).textContent = tradeFeeNative(p) ? fmtMoney(tradeFeeNative(p), cur) : '—';
 				$('[data-field="sum"]', row).textContent = sum != null ? fmtCurrency(sum) : '—';
+				const gainEl = $('[data-field="gain"]', row);
+				if (gains.get(p) != null) {
+					const gain = gains.get(p);
+					gainEl.textContent = fmtCurrency(gain);
+					gainEl.classList.add(gain >= 0 ? 'text-emerald-600' : 'text-red-600');
+				} else {
+					gainEl.textContent = '—';
+				}
 				$('[data-action="remove"]', row).onclick = () => {
-					const i = purchases.indexOf(p);
-					if (i >= 0) purchases.splice(i, 1);
+					const rest = purchases.filter((x) => x !== p);
+					if (!isSell(p) && wouldOversell(rest)) {
+						alert('Не можна видалити: пізніші продажі перевищать наявну кількість.');
+						return;
+					}
+					purchases = rest;
 					savePurchases();
 					renderPurchases();
 				};
@@ -470,7 +4295,7 @@
 			});
 		}
 
-		[fSymbol, fFrom, fTo, fSort].forEach(el => el.addEventListener('change', renderRows));
+		[fSymbol, fSide, fFrom, fTo, fSort].forEach(el => el.addEventListener('change', renderRows));
 		container.appendChild(node);
 		renderRows();
 
@@ -492,9 +4317,10 @@
 					if (p.symbol !== sym) return;
 					if (cf!=null && p.ts < cf) return;
 					if (ct!=null && p.ts > ct) return;
-					const unit = priceAt(p.symbol, p.ts);
-					if (unit == null) return;
-					const sum = p.qty * unit;
+					const amount = tradeAmount(p);
+					if (amount == null) return;
+					// Sales show up as negative bars (money taken out)
+					const sum = (isSell(p) ? -1 : 1) * amount;
 					const day = new Date(new Date(p.ts).toDateString()).getTime();
 					byDay.set(day, (byDay.get(day) || 0) + sum);
 				});
@@ -505,7 +4331,7 @@
 			purchasesChart = new Chart(ctx, {
 				type: 'bar',
 				data: { datasets },
-				options: { parsing: false, scales: { x: { type:'linear', stacked: true, ticks:{ callback:(v)=> new Date(v).toLocaleDateString() } }, y: { stacked: true, title:{display:true, text:'€'} } }, plugins:{ legend:{display:true} } }
+				options: { parsing: false, scales: { x: { type:'linear', stacked: true, ticks:{ callback:(v)=> new Date(v).toLocaleDateString() } }, y: { stacked: true, title:{display:true, text:baseSign()} } }, plugins:{ legend:{display:true} } }
 			});
 		}
 
@@ -519,7 +4345,9 @@
 				const label = document.createElement('label');
 				label.className = 'inline-flex items-center gap-1 text-sm';
 				const checked = prev.size ? prev.has(e.symbol) : true;
-				label.innerHTML = `<input id="${id}" type="checkbox" value="${e.symbol}" class="rounded" ${checked?'checked':''}> ${e.symbol}`;
+				label.innerHTML = `<input id="${id}" type="checkbox" class="rounded" ${checked?'checked':''}> `;
+				label.firstElementChild.value = e.symbol;
+				label.append(e.symbol);
 				box.appendChild(label);
 			});
 			$('#purchases-chart-from')?.addEventListener('change', renderPurchasesChart);
@@ -529,6 +4357,200 @@
 		}
 
 		buildPurchasesChartControls();
+		renderPlans();
+		renderCash();
+	}
+
+	function renderPlans() {
+		const form = $('#form-add-plan');
+		const symbolEl = $('#plan-symbol');
+		const amountEl = $('#plan-amount');
+		const dayEl = $('#plan-day');
+		const startEl = $('#plan-start');
+		const endEl = $('#plan-end');
+		$('#plan-currency').textContent = ui.baseCurrency;
+		if (!startEl.value) startEl.value = nowLocalDatetime().slice(0, 10);
+
+		symbolEl.innerHTML = '';
+		etfs.slice().sort((a, b) => a.symbol.localeCompare(b.symbol)).forEach((e) => {
+			const opt = document.createElement('option'); opt.value = e.symbol; opt.textContent = e.symbol; symbolEl.appendChild(opt);
+		});
+
+		form.onsubmit = (ev) => {
+			ev.preventDefault();
+			const amount = parseFloat(amountEl.value);
+			const day = parseInt(dayEl.value, 10);
+			if (!symbolEl.value || !isFinite(amount) || amount <= 0 || !(day >= 1 && day <= 31) || !startEl.value) return;
+			if (endEl.value && endEl.value < startEl.value) { alert('Дата завершення раніше за дату початку.'); return; }
+			const plan = { id: `plan_${Date.now()}`, symbol: symbolEl.value, amount, currency: ui.baseCurrency, day, start: startEl.value, skipped: [] };
+			if (endEl.value) plan.end = endEl.value;
+			plans.push(plan);
+			savePlans();
+			materializePlans();
+			amountEl.value = '';
+			endEl.value = '';
+			renderPurchases();
+		};
+
+		const rows = $('#plan-rows');
+		rows.innerHTML = '';
+		plans.forEach((plan) => {
+			const tr = document.createElement('tr');
+			tr.className = 'border-t border-slate-200 dark:border-slate-800';
+			[
+				plan.symbol,
+				fmtMoney(plan.amount, plan.currency || 'EUR'),
+				plan.day,
+				plan.start,
+				plan.end || '—',
+				planActive(plan) ? 'Активний' : (parseLocalDate(plan.start) > Date.now() ? 'Ще не почався' : 'Завершений'),
+			].forEach((text) => {
+				const td = document.createElement('td');
+				td.className = 'py-2';
+				td.textContent = text;
+				tr.appendChild(td);
+			});
+			const actions = document.createElement('td');
+			actions.className = 'py-2 text-right';
+			const removeBtn = document.createElement('button');
+			removeBtn.className = 'px-2 py-1 rounded-md bg-red-50 text-red-700 hover:bg-red-100';
+			removeBtn.title = 'Видалити план (виконані покупки лишаються)';
+			removeBtn.textContent = '🗑️';
+			removeBtn.onclick = () => {
+				if (!confirm(`Видалити план ${plan.symbol}? Підтверджені покупки лишаться, непідтверджені буде видалено.`)) return;
+				const rest = purchases.filter((p) => !(p.plan === plan.id && p.pending));
+				if (wouldOversell(rest)) { alert('Не можна видалити: пізніші продажі перевищать наявну кількість.'); return; }
+				purchases = rest;
+				plans = plans.filter((x) => x !== plan);
+				savePurchases();
+				savePlans();
+				renderPurchases();
+			};
+			actions.appendChild(removeBtn);
+			tr.appendChild(actions);
+			rows.appendChild(tr);
+		});
+
+		// Pending executions wait for confirmation; upcoming ones can be skipped in advance
+		const queue = $('#plan-queue');
+		queue.innerHTML = '';
+		const items = purchases
+			.filter((p) => p.pending)
+			.map((p) => ({ plan: plans.find((x) => x.id === p.plan), month: p.planMonth, ts: p.ts, purchase: p }));
+		const now = Date.now();
+		const done = new Set(purchases.filter((p) => p.plan).map((p) => `${p.plan}|${p.planMonth}`));
+		plans.forEach((plan) => {
+			// Missed executions materializePlans couldn't price yet
+			planExecutions(plan, now)
+				.filter((x) => !done.has(`${plan.id}|${x.month}`) && !plan.skipped?.includes(x.month))
+				.forEach((x) => items.push({ plan, month: x.month, ts: x.ts, purchase: null, waiting: true }));
+			const next = planExecutions(plan, now + 62 * DAY_MS).find((x) => x.ts > now && !plan.skipped?.includes(x.month));
+			if (next) items.push({ plan, month: next.month, ts: next.ts, purchase: null });
+		});
+		items.sort((a, b) => a.ts - b.ts);
+		$('#plan-queue-empty').classList.toggle('hidden', items.length > 0);
+		items.forEach((item) => {
+			const li = document.createElement('li');
+			li.className = 'flex items-center justify-between gap-3 py-2 border-t border-slate-200 dark:border-slate-800';
+			const info = document.createElement('span');
+			const p = item.purchase;
+			const symbol = p?.symbol || item.plan?.symbol;
+			info.textContent = p
+				? `⏳ ${new Date(item.ts).toLocaleDateString()} · ${symbol} · ${p.qty.toFixed(4)} × ${fmtMoney(p.price, etfCurrency(symbol))} = ${fmtCurrency(tradeAmount(p))}`
+				: `${item.waiting ? '⚠️' : '📅'} ${new Date(item.ts).toLocaleDateString()} · ${symbol} · ${fmtMoney(item.plan.amount, item.plan.currency || 'EUR')}${item.waiting ? ' — немає ціни чи курсу на цю дату' : ''}`;
+			const btns = document.createElement('span');
+			btns.className = 'flex gap-2';
+			const skipPlan = () => {
+				if (!item.plan) return;
+				item.plan.skipped = [...(item.plan.skipped || []), item.month];
+				savePlans();
+			};
+			if (p) {
+				const ok = document.createElement('button');
+				ok.className = 'px-2 py-1 rounded-md bg-emerald-50 text-emerald-700 hover:bg-emerald-100';
+				ok.textContent = '✔️ Підтвердити';
+				ok.onclick = () => { delete p.pending; savePurchases(); renderPurchases(); };
+				btns.appendChild(ok);
+			}
+			const skip = document.createElement('button');
+			skip.className = 'px-2 py-1 rounded-md bg-slate-100 dark:bg-slate-800 hover:bg-slate-200 dark:hover:bg-slate-700';
+			skip.textContent = '⏭️ Пропустити';
+			skip.onclick = () => {
+				if (p) {
+					const rest = purchases.filter((x) => x !== p);
+					if (wouldOversell(rest)) { alert('Не можна пропустити: пізніші продажі перевищать наявну кількість.'); return; }
+					purchases = rest;
+					savePurchases();
+				}
+				skipPlan();
+				renderPurchases();
+			};
+			btns.appendChild(skip);
+			li.append(info, btns);
+			queue.appendChild(li);
+		});
+	}
+
+	function renderCash() {
+		const form = $('#form-add-cash');
+		const typeEl = $('#cash-type');
+		const tsEl = $('#cash-ts');
+		const amountEl = $('#cash-amount');
+		const symbolEl = $('#cash-symbol');
+		const noteEl = $('#cash-note');
+		const curEl = $('#cash-currency');
+		tsEl.value = nowLocalDatetime();
+		curEl.value = ui.baseCurrency;
+
+		// Dividends are linked to an ETF, other entries are account-level
+		symbolEl.innerHTML = '';
+		etfs.slice().sort((a, b) => a.symbol.localeCompare(b.symbol)).forEach((e) => {
+			const opt = document.createElement('option'); opt.value = e.symbol; opt.textContent = e.symbol; symbolEl.appendChild(opt);
+		});
+		const syncSymbol = () => { symbolEl.disabled = typeEl.value !== 'dividend'; };
+		typeEl.onchange = syncSymbol;
+		syncSymbol();
+
+		form.onsubmit = (ev) => {
+			ev.preventDefault();
+			const type = typeEl.value;
+			const amount = parseFloat(amountEl.value);
+			if (!CASH_TYPES[type] || !isFinite(amount) || amount <= 0) return;
+			const ts = parseLocalDatetime(tsEl.value);
+			const entry = { id: `cash_${Date.now()}`, ts, type, amount, currency: curEl.value || 'EUR' };
+			if (type === 'dividend') {
+				if (!symbolEl.value) { alert('Оберіть ETF для дивідендів.'); return; }
+				entry.symbol = symbolEl.value;
+			}
+			const note = noteEl.value.trim();
+			if (note) entry.note = note;
+			cash.push(entry);
+			saveCash();
+			amountEl.value = '';
+			noteEl.value = '';
+			renderCash();
+		};
+
+		$('#cash-balance').textContent = fmtCurrency(computeCash().balance);
+		const rows = $('#cash-rows');
+		rows.innerHTML = '';
+		const rowTpl = $('#tpl-cash-row');
+		cash.slice().sort((a, b) => b.ts - a.ts).forEach((c) => {
+			const row = rowTpl.content.cloneNode(true);
+			$('[data-field="date"]', row).textContent = fmtDate(c.ts);
+			$('[data-field="type"]', row).textContent = CASH_TYPES[c.type]?.label || c.type;
+			$('[data-field="symbol"]', row).textContent = c.symbol || '—';
+			const amountCell = $('[data-field="amount"]', row);
+			amountCell.textContent = fmtMoney(cashSigned(c), c.currency || 'EUR');
+			amountCell.classList.add(cashSigned(c) >= 0 ? 'text-emerald-600' : 'text-red-600');
+			$('[data-field="note"]', row).textContent = c.note || '';
+			$('[data-action="remove"]', row).onclick = () => {
+				cash = cash.filter((x) => x !== c);
+				saveCash();
+				renderCash();
+			};
+			rows.appendChild(row);
+		});
 	}
 
 		// Build ETF chart datasets
@@ -542,16 +4564,23 @@
 			const from = fromEl?.value ? new Date(fromEl.value).getTime() : null;
 			const to = toEl?.value ? new Date(toEl.value).getTime() + 24*3600*1000 - 1 : null;
 			const symbols = Array.from($$('#etf-chart-symbols input:checked')).map(i=>i.value);
+			// "Underwater" view: distance below the running peak within the range, in %
+			const underwater = ui.etfChartView === 'drawdown';
 			const datasets = symbols.map((sym, idx) => {
 				const e = etfs.find(x=>x.symbol===sym);
 				let data = (e?.prices||[]).slice();
 				if (from!=null) data = data.filter(p=>p.ts>=from);
 				if (to!=null) data = data.filter(p=>p.ts<=to);
 				data.sort((a,b)=>a.ts-b.ts);
+				let peak = 0;
 				return {
 					label: sym,
-					data: data.map(p=>({ x: p.ts, y: p.price })),
+					data: underwater
+						? data.map(p=>{ peak = Math.max(peak, p.price); return { x: p.ts, y: peak > 0 ? (p.price/peak - 1)*100 : 0 }; })
+						: data.map(p=>({ x: p.ts, y: p.price })),
 					borderColor: `hsl(${(idx*60)%360} 70% 50%)`,
+					backgroundColor: `hsl(${(idx*60)%360} 70% 50% / 0.1)`,
+					fill: underwater ? 'origin' : false,
 					tension: 0.2,
 				};
 			});
@@ -564,13 +4593,189 @@
 					parsing: false,
 						scales: {
 							x: { type: 'linear', ticks: { callback: (v) => new Date(v).toLocaleDateString() } },
-							y: { title: { display: true, text: '€' } }
+							y: { title: { display: true, text: underwater ? 'Просадка від піку, %' : 'Ціна (валюта ETF)' }, ...(underwater ? { max: 0 } : {}) }
 						},
 					plugins: { legend: { display: true } }
 				}
 			});
 		}
 
+		// Date range picked above the portfolio chart (shared by the chart and the returns table)
+		function portfolioRange() {
+			const fromEl = $('#portfolio-from');
+			const toEl = $('#portfolio-to');
+			const from = fromEl?.value ? new Date(fromEl.value).getTime() : null;
+			const to = toEl?.value ? new Date(toEl.value).getTime() + DAY_MS - 1 : null;
+			return { from, to };
+		}
+
+		function renderReturns() {
+			const { from, to } = portfolioRange();
+			$('#returns-period').textContent = from == null && to == null
+				? 'весь час'
+				: `${from != null ? new Date(from).toLocaleDateString() : '…'} – ${to != null ? new Date(to).toLocaleDateString() : 'сьогодні'}`;
+			const rows = $('#returns-rows');
+			rows.innerHTML = '';
+			const symbols = [...new Set(purchases.map((p) => p.symbol))].sort();
+			[{ label: 'Портфель', symbol: null }, ...symbols.map((sym) => ({ label: sym, symbol: sym }))].forEach(({ label, symbol }) => {
+				const r = computeReturns({ symbol, from, to });
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				if (!symbol) tr.classList.add('font-semibold');
+				[label, r?.xirr, r?.twr, r?.twrAnnual].forEach((val, i) => {
+					const td = document.createElement('td');
+					td.className = 'py-2';
+					if (i === 0) {
+						td.textContent = val;
+					} else {
+						td.textContent = fmtPct(val);
+						if (val != null && isFinite(val)) td.classList.add(val >= 0 ? 'text-emerald-600' : 'text-red-600');
+					}
+					tr.appendChild(td);
+				});
+				rows.appendChild(tr);
+			});
+		}
+
+		// Risk figures for the portfolio index and every ETF, plus correlations between current holdings
+		function renderRisk() {
+			const { from, to } = portfolioRange();
+			$('#risk-period').textContent = $('#returns-period').textContent;
+			const rows = $('#risk-rows');
+			rows.innerHTML = '';
+			const fmtDay = (ts) => new Date(ts).toLocaleDateString();
+			const series = [{ label: 'Портфель', points: portfolioIndexSeries(from, to) }];
+			etfs.slice().sort((a, b) => a.symbol.localeCompare(b.symbol))
+				.forEach((e) => series.push({ label: e.symbol, symbol: e.symbol, points: etfValueSeries(e.symbol, from, to) }));
+			series.forEach(({ label, symbol, points }) => {
+				const r = riskStats(points);
+				const dd = r?.maxDrawdown;
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				if (!symbol) tr.classList.add('font-semibold');
+				[
+					[label],
+					[fmtPct(r?.volatility)],
+					[dd ? fmtPct(dd.depth) : '—', dd?.depth < 0],
+					[dd?.depth < 0 ? `${fmtDay(dd.peakTs)} → ${fmtDay(dd.troughTs)}` : '—'],
+					[r ? fmtPct(r.currentDrawdown) : '—', r?.currentDrawdown < 0],
+					[r?.bestMonth ? `${r.bestMonth.month}: ${fmtPct(r.bestMonth.r)}` : '—'],
+					[r?.worstMonth ? `${r.worstMonth.month}: ${fmtPct(r.worstMonth.r)}` : '—'],
+				].forEach(([text, negative]) => {
+					const td = document.createElement('td');
+					td.className = 'py-2';
+					td.textContent = text;
+					if (negative) td.classList.add('text-red-600');
+					tr.appendChild(td);
+				});
+				rows.appendChild(tr);
+			});
+
+			// Correlation matrix of what is held right now
+			const held = Object.entries(buildLedger().positions)
+				.filter(([sym, pos]) => pos.qty > 0 && etfs.some((e) => e.symbol === sym))
+				.map(([sym]) => sym).sort();
+			const box = $('#risk-correlation');
+			box.classList.toggle('hidden', held.length < 2);
+			if (held.length < 2) return;
+			const points = Object.fromEntries(series.filter((x) => held.includes(x.symbol)).map((x) => [x.symbol, x.points]));
+			const table = $('#risk-correlation-table');
+			table.innerHTML = '';
+			const head = document.createElement('tr');
+			['', ...held].forEach((text) => {
+				const th = document.createElement('th');
+				th.className = 'py-2 pr-2';
+				th.textContent = text;
+				head.appendChild(th);
+			});
+			table.appendChild(head);
+			held.forEach((a) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				const th = document.createElement('th');
+				th.className = 'py-2 pr-2 text-left';
+				th.textContent = a;
+				tr.appendChild(th);
+				held.forEach((b) => {
+					const td = document.createElement('td');
+					td.className = 'py-2 pr-2';
+					const c = a === b ? 1 : correlation(points[a], points[b]);
+					td.textContent = c == null ? '—' : (Math.abs(c) < 0.005 ? 0 : c).toFixed(2);
+					// Stronger colour for pairs that move together, i.e. diversify less
+					if (c != null && a !== b) td.style.backgroundColor = `hsl(${c >= 0 ? 0 : 210} 70% 50% / ${Math.abs(c) * 0.35})`;
+					tr.appendChild(td);
+				});
+				table.appendChild(tr);
+			});
+		}
+
+		// Benchmark for the portfolio chart: an ETF ('etf:SYMBOL') or the imported series ('custom')
+		function benchmarkEntry() {
+			const id = ui.benchmark || '';
+			if (id === 'custom' && customBenchmark?.prices?.length) {
+				return { label: customBenchmark.name, entry: { currency: customBenchmark.currency || 'EUR', series: buildSeries(customBenchmark.prices, 'price') } };
+			}
+			if (id.startsWith('etf:')) {
+				const entry = priceEntry(id.slice(4));
+				if (entry?.series.ts.length) return { label: id.slice(4), entry };
+			}
+			return null;
+		}
+
+		function renderBenchmarkSelect() {
+			const el = $('#portfolio-benchmark');
+			if (!el) return;
+			const current = benchmarkEntry() ? ui.benchmark : '';
+			el.innerHTML = '';
+			const add = (value, text) => {
+				const opt = document.createElement('option');
+				opt.value = value;
+				opt.textContent = text;
+				el.appendChild(opt);
+			};
+			add('', 'Без бенчмарку');
+			etfs.filter((e) => e.prices?.length).forEach((e) => add(`etf:${e.symbol}`, `${e.symbol} — ${e.name}`));
+			if (customBenchmark?.prices?.length) add('custom', `📈 ${customBenchmark.name}`);
+			add('action:import', customBenchmark ? '📥 Оновити імпортований ряд…' : '📥 Імпортувати ряд…');
+			if (customBenchmark) add('action:remove', '🗑️ Видалити імпортований ряд');
+			el.value = current;
+			el.onchange = () => {
+				const value = el.value;
+				el.value = current;
+				if (value === 'action:import') return importBenchmark();
+				if (value === 'action:remove') {
+					if (!confirm(`Видалити імпортований ряд «${customBenchmark.name}»?`)) return;
+					customBenchmark = null;
+					saveBenchmark();
+					if (ui.benchmark === 'custom') { ui.benchmark = ''; saveUi(); }
+				} else {
+					ui.benchmark = value;
+					saveUi();
+				}
+				renderBenchmarkSelect();
+				renderPortfolioChart();
+			};
+		}
+
+		// Any price history (index, fund NAV) through the CSV price import dialog
+		function importBenchmark() {
+			const name = prompt('Назва ряду (наприклад, MSCI World):', customBenchmark?.name || '')?.trim();
+			if (!name) return;
+			const currency = prompt(`Валюта котирування (${Object.keys(CURRENCIES).join(', ')}):`, customBenchmark?.currency || 'EUR')?.trim().toUpperCase();
+			if (!currency) return;
+			if (!CURRENCIES[currency]) { alert(`Невідома валюта: ${currency}`); return; }
+			// Re-importing in the same currency adds to the existing history
+			const series = { symbol: name, name, currency, prices: customBenchmark?.currency === currency ? customBenchmark.prices.slice() : [] };
+			openPriceImport(series, () => {
+				customBenchmark = { name, currency, prices: series.prices };
+				saveBenchmark();
+				ui.benchmark = 'custom';
+				saveUi();
+				renderBenchmarkSelect();
+				renderPortfolioChart();
+			});
+		}
+
 		// Portfolio chart
 			let portfolioChart;
 			function renderPortfolioChart() {
@@ -579,10 +4784,7 @@
 			if (portfolioChart) { portfolioChart.destroy(); portfolioChart = null; }
 			// Extra safety: ensure any existing chart bound to this canvas is destroyed
 			try { Chart.getChart(ctx)?.destroy(); } catch (_) {}
-			const fromEl = $('#portfolio-from');
-			const toEl = $('#portfolio-to');
-			const from = fromEl?.value ? new Date(fromEl.value).getTime() : null;
-			const to = toEl?.value ? new Date(toEl.value).getTime() + 24*3600*1000 - 1 : null;
+			const { from, to } = portfolioRange();
 
 			// Build timeline from all unique price timestamps
 			const times = new Set();
@@ -591,55 +4793,365 @@
 			let points = Array.from(times).map(Number).sort((a,b)=>a-b);
 			if (from!=null) points = points.filter(t=>t>=from);
 			if (to!=null) points = points.filter(t=>t<=to);
-				const seriesCurrent = points.map(t => {
-				// For each time t, compute portfolio value using latest price up to t and purchases up to t
-				let value = 0;
-				const qtyBySymbol = {};
-				purchases.filter(p=>p.ts<=t).forEach(p=>{ qtyBySymbol[p.symbol]=(qtyBySymbol[p.symbol]||0)+p.qty; });
-				for (const sym of Object.keys(qtyBySymbol)) {
-					const unit = priceAt(sym, t);
-					if (unit!=null) value += qtyBySymbol[sym]*unit;
-				}
-				return { x: t, y: value };
-			});
-				// Invested (initial contributions) cumulative
-				let investedTotal = 0;
-				const seriesInvested = points.map(t => {
-					purchases.filter(p=>p.ts<=t).forEach(p=>{
-						const unitAtBuy = priceAt(p.symbol, p.ts);
-						if (unitAtBuy!=null) investedTotal += p.qty * unitAtBuy;
-					});
-					return { x: t, y: investedTotal };
+				// Walk the timeline once, feeding trades into the lot book as they happen
+				const trades = purchaseTrades();
+				const ledger = createLedger();
+				const prices = {};
+				// Benchmark: every real trade's cash goes into (or comes out of) the benchmark on the same date
+				const bench = benchmarkEntry();
+				const benchPrice = bench && priceCursor(bench.entry);
+				let benchUnits = 0;
+				let benchSkipped = 0; // trades with no benchmark price or FX rate on their date
+				const seriesBenchmark = [];
+				let ti = 0;
+				const seriesCurrent = [];
+				const seriesInvested = [];
+				const seriesWithDividends = [];
+				const dividends = cash.filter(c => c.type === 'dividend').sort((a,b)=>a.ts-b.ts);
+				let di = 0;
+				let dividendsTotal = 0;
+				points.forEach(t => {
+					while (ti < trades.length && trades[ti].ts <= t) {
+						const p = trades[ti++];
+						ledger.apply(p);
+						const amount = bench ? tradeAmount(p) : null;
+						const unit = amount != null ? benchPrice(p.ts) : null;
+						// A sale can't take out more than the benchmark holds
+						if (unit) benchUnits = isSell(p) ? Math.max(0, benchUnits - amount / unit) : benchUnits + amount / unit;
+						else if (bench) benchSkipped++;
+					}
+					while (di < dividends.length && dividends[di].ts <= t) {
+						const c = dividends[di++];
+						dividendsTotal += cashInBase(+c.amount || 0, c);
+					}
+					let value = 0;
+					let investedTotal = 0;
+					for (const [sym, pos] of Object.entries(ledger.positions)) {
+						investedTotal += pos.cost;
+						const unit = (prices[sym] || (prices[sym] = priceCursor(sym)))(t);
+						if (unit!=null) value += pos.qty*unit;
+					}
+					seriesCurrent.push({ x: t, y: value });
+					seriesWithDividends.push({ x: t, y: value + dividendsTotal });
+					// Invested = cost basis of units still held
+					seriesInvested.push({ x: t, y: investedTotal });
+					if (bench) {
+						const unit = benchPrice(t);
+						seriesBenchmark.push({ x: t, y: unit == null ? null : benchUnits * unit });
+					}
 				});
 
+				const datasets = [
+					{ label: 'Поточна вартість', data: seriesCurrent, borderColor: 'hsl(210 70% 50%)', tension: 0.2 },
+					{ label: 'Початкові вклади', data: seriesInvested, borderColor: 'hsl(10 70% 50%)', borderDash: [6,4], tension: 0.2 },
+				];
+				if (ui.showDividends) datasets.push({ label: 'З дивідендами', data: seriesWithDividends, borderColor: 'hsl(150 60% 40%)', tension: 0.2 });
+				if (bench) datasets.push({ label: `Бенчмарк: ${bench.label}`, data: seriesBenchmark, borderColor: 'hsl(280 60% 55%)', borderDash: [2,3], tension: 0.2 });
+
+				// Out- or underperformance at the end of the range
+				const noteEl = $('#portfolio-benchmark-note');
+				const last = seriesCurrent.length - 1;
+				if (noteEl) {
+					const show = !!bench && last >= 0;
+					noteEl.classList.toggle('hidden', !show);
+					noteEl.classList.remove('text-emerald-600', 'text-red-600', 'text-amber-600');
+					if (show && seriesBenchmark[last].y == null) {
+						noteEl.textContent = `⚠️ Немає ціни «${bench.label}» або курсу ${bench.entry.currency}/${ui.baseCurrency} — порівняння неможливе.`;
+						noteEl.classList.add('text-amber-600');
+					} else if (show) {
+						const diff = seriesCurrent[last].y - seriesBenchmark[last].y;
+						const pct = seriesBenchmark[last].y > 0 ? diff / seriesBenchmark[last].y : null;
+						noteEl.textContent = `${diff >= 0 ? 'Краще' : 'Гірше'} за «${bench.label}» на ${fmtCurrency(Math.abs(diff))} (${fmtPct(pct)}) станом на ${new Date(seriesCurrent[last].x).toLocaleDateString()}: ${fmtCurrency(seriesCurrent[last].y)} проти ${fmtCurrency(seriesBenchmark[last].y)}`;
+						noteEl.classList.add(diff >= 0 ? 'text-emerald-600' : 'text-red-600');
+						if (benchSkipped) noteEl.textContent += ` · ⚠️ без ціни чи курсу на дату пропущено операцій: ${benchSkipped}`;
+					}
+				}
+
 				portfolioChart = new Chart(ctx, {
 					type: 'line',
-					data: { datasets: [
-						{ label: 'Поточна вартість', data: seriesCurrent, borderColor: 'hsl(210 70% 50%)', tension: 0.2 },
-						{ label: 'Початкові вклади', data: seriesInvested, borderColor: 'hsl(10 70% 50%)', borderDash: [6,4], tension: 0.2 },
-					] },
-					options: { parsing: false, plugins:{ legend:{ display:true } }, scales: { x: { type:'linear', ticks: { callback: (v)=> new Date(v).toLocaleDateString() } }, y: { title:{display:true, text:'€'} } } }
+					data: { datasets },
+					options: { parsing: false, plugins:{ legend:{ display:true } }, scales: { x: { type:'linear', ticks: { callback: (v)=> new Date(v).toLocaleDateString() } }, y: { title:{display:true, text:baseSign()} } } }
+				});
+		}
+
+		let positionsChart;
+		function renderPositions() {
+			const rows = computePositions();
+			const sort = ui.positionsSort || { key: 'current', dir: 'desc' };
+			const dir = sort.dir === 'asc' ? 1 : -1;
+			rows.sort((a, b) => {
+				const va = a[sort.key];
+				const vb = b[sort.key];
+				if (typeof va === 'string' || typeof vb === 'string') return dir * String(va ?? '').localeCompare(String(vb ?? ''));
+				// Missing values (orphans, no snapshots) always sink to the bottom
+				if (va == null) return 1;
+				if (vb == null) return -1;
+				return dir * (va - vb);
+			});
+
+			$$('#positions-table [data-sort]').forEach((th) => {
+				const key = th.dataset.sort;
+				th.dataset.arrow = key === sort.key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '';
+				th.textContent = th.dataset.label + th.dataset.arrow;
+				th.onclick = () => {
+					ui.positionsSort = { key, dir: sort.key === key && sort.dir === 'desc' ? 'asc' : 'desc' };
+					saveUi();
+					renderPositions();
+				};
+			});
+
+			const orphans = rows.filter((r) => r.orphan);
+			const warn = $('#positions-orphans');
+			warn.textContent = orphans.length ? `⚠️ Операції з символами, яких немає серед ETF: ${orphans.map((r) => r.symbol).join(', ')}. Їх вартість не врахована.` : '';
+			warn.classList.toggle('hidden', !orphans.length);
+			const issues = buildLedger().issues;
+			const symbolsOf = (reason) => [...new Set(issues.filter((i) => i.reason === reason).map((i) => i.trade.symbol))].sort();
+			const unpriced = symbolsOf('unpriced');
+			const fxLater = symbolsOf('fx-later');
+			const pricingWarn = $('#positions-unpriced');
+			pricingWarn.textContent = [
+				unpriced.length ? `⚠️ Немає ціни або курсу валюти для операцій з ${unpriced.join(', ')}. Їх сума не врахована у «Вкладено», вартості та P/L.` : '',
+				fxLater.length ? `⚠️ На дату частини операцій з ${fxLater.join(', ')} ще немає курсу валюти — узято найраніший пізніший курс.` : '',
+			].filter(Boolean).join(' ');
+			pricingWarn.classList.toggle('hidden', !unpriced.length && !fxLater.length);
+
+			const tbody = $('#positions-rows');
+			tbody.innerHTML = '';
+			rows.forEach((r) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				if (r.orphan || r.unpriced) tr.classList.add('text-amber-600');
+				const cells = [
+					r.orphan || r.unpriced ? `${r.symbol} ⚠️` : r.symbol,
+					r.qty.toFixed(4),
+					r.avgCost != null ? fmtCurrency(r.avgCost) : '—',
+					fmtCurrency(r.invested),
+					r.current != null ? fmtCurrency(r.current) : '—',
+					r.unrealized != null ? fmtCurrency(r.unrealized) : '—',
+					r.unrealizedPct != null ? `${r.unrealizedPct.toFixed(2)}%` : '—',
+					r.weight != null ? `${r.weight.toFixed(1)}%` : '—',
+					r.lastPriceTs != null ? new Date(r.lastPriceTs).toLocaleDateString() : '—',
+				];
+				cells.forEach((text, i) => {
+					const td = document.createElement('td');
+					td.className = 'py-2';
+					td.textContent = text;
+					if ((i === 5 || i === 6) && r.unrealized != null) td.classList.add(r.unrealized >= 0 ? 'text-emerald-600' : 'text-red-600');
+					tr.appendChild(td);
+				});
+				if (r.orphan) tr.title = 'ETF видалено — операції лишилися, але ціни немає';
+				else if (r.unpriced) tr.title = 'Частина одиниць куплена без відомої ціни чи курсу — їх собівартість невідома';
+				tbody.appendChild(tr);
+			});
+
+			const ctx = document.getElementById('positions-chart');
+			if (!ctx) return;
+			if (positionsChart) { positionsChart.destroy(); positionsChart = null; }
+			try { Chart.getChart(ctx)?.destroy(); } catch (_) {}
+			const valued = rows.filter((r) => r.current > 0).sort((a, b) => a.symbol.localeCompare(b.symbol));
+			positionsChart = new Chart(ctx, {
+				type: 'doughnut',
+				data: {
+					labels: valued.map((r) => r.symbol),
+					datasets: [{ data: valued.map((r) => r.current), backgroundColor: valued.map((_, idx) => `hsl(${(idx*60)%360} 70% 60%)`) }],
+				},
+				options: { plugins: { legend: { display: true, position: 'bottom' }, tooltip: { callbacks: { label: (c) => `${c.label}: ${fmtCurrency(c.raw)}` } } } }
+			});
+		}
+
+		function renderAllocation() {
+			const rows = computeAllocation();
+			const tbody = $('#allocation-rows');
+			tbody.innerHTML = '';
+			rows.forEach((r) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				const symTd = document.createElement('td');
+				symTd.className = 'py-2';
+				symTd.textContent = r.symbol;
+				const targetTd = document.createElement('td');
+				targetTd.className = 'py-2';
+				const input = document.createElement('input');
+				input.type = 'number';
+				input.min = '0';
+				input.step = '0.1';
+				input.placeholder = '—';
+				input.value = r.targetWeight != null ? String(r.targetWeight) : '';
+				input.className = 'w-24 px-2 py-1 rounded-md border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950';
+				input.onchange = () => {
+					const e = etfs.find((x) => x.symbol === r.symbol);
+					const val = parseFloat(input.value);
+					if (isFinite(val) && val > 0) e.targetWeight = val; else delete e.targetWeight;
+					saveEtfs();
+					renderAllocation();
+				};
+				targetTd.appendChild(input);
+				tr.append(symTd, targetTd);
+				[`${r.targetPct.toFixed(1)}%`, `${r.currentPct.toFixed(1)}%`].forEach((text) => {
+					const td = document.createElement('td');
+					td.className = 'py-2';
+					td.textContent = text;
+					tr.appendChild(td);
+				});
+				const driftTd = document.createElement('td');
+				driftTd.className = 'py-2';
+				driftTd.textContent = `${r.drift >= 0 ? '+' : ''}${r.drift.toFixed(1)} п.п.`;
+				// Highlight anything more than 5 percentage points off target
+				if (Math.abs(r.drift) > 5) driftTd.classList.add(r.drift > 0 ? 'text-amber-600' : 'text-sky-600');
+				tr.appendChild(driftTd);
+				tbody.appendChild(tr);
+			});
+			const targetSum = etfs.reduce((a, e) => a + (e.targetWeight > 0 ? e.targetWeight : 0), 0);
+			const note = $('#allocation-note');
+			note.textContent = !targetSum
+				? 'Задайте цільові ваги, щоб побачити відхилення.'
+				: Math.abs(targetSum - 100) > 0.01 ? `Сума цільових ваг — ${targetSum.toFixed(1)}, частки нормалізовано до 100%.` : '';
+
+			renderContribution();
+		}
+
+		function renderContribution() {
+			const amountEl = $('#contribution-amount');
+			const tbody = $('#contribution-rows');
+			const applyBtn = $('#btn-contribution-apply');
+			const suggestions = suggestContribution(parseFloat(amountEl.value));
+			tbody.innerHTML = '';
+			suggestions.forEach((r) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				[r.symbol, r.qty.toFixed(4), fmtMoney(r.nativeUnit, etfCurrency(r.symbol)), fmtCurrency(r.value)].forEach((text) => {
+					const td = document.createElement('td');
+					td.className = 'py-2';
+					td.textContent = text;
+					tr.appendChild(td);
+				});
+				tbody.appendChild(tr);
+			});
+			applyBtn.disabled = !suggestions.length;
+			amountEl.oninput = renderContribution;
+			applyBtn.onclick = () => {
+				if (!suggestions.length) return;
+				if (!confirm(`Створити ${suggestions.length} покупок на ${fmtCurrency(suggestions.reduce((a, r) => a + r.value, 0))}?`)) return;
+				const ts = Date.now();
+				// Execution price is recorded in the ETF's own currency, same as manual entries
+				suggestions.forEach((r) => purchases.push({ symbol: r.symbol, ts, qty: r.qty, side: 'buy', price: r.nativeUnit }));
+				savePurchases();
+				amountEl.value = '';
+				renderDashboard();
+			};
+		}
+
+		function renderFxAttribution() {
+			const rows = $('#fx-attribution-rows');
+			rows.innerHTML = '';
+			const data = computeFxAttribution();
+			// Only worth showing once something is quoted in a foreign currency
+			$('#fx-attribution').classList.toggle('hidden', !data.some((r) => r.currency !== ui.baseCurrency));
+			data.forEach((r) => {
+				const tr = document.createElement('tr');
+				tr.className = 'border-t border-slate-200 dark:border-slate-800';
+				[r.symbol, r.currency, r.priceEffect, r.fxEffect, r.pl].forEach((val) => {
+					const td = document.createElement('td');
+					td.className = 'py-2';
+					if (typeof val === 'number') {
+						td.textContent = fmtCurrency(val);
+						td.classList.add(val >= 0 ? 'text-emerald-600' : 'text-red-600');
+					} else {
+						td.textContent = val;
+					}
+					tr.appendChild(td);
 				});
+				rows.appendChild(tr);
+			});
+		}
+
+		function renderExposure() {
+			const data = computeExposure();
+			$('#exposure').classList.toggle('hidden', !(data.total > 0));
+			if (!(data.total > 0)) return;
+			$('#exposure-ter').textContent = data.ter != null
+				? `Середньозважений TER: ${data.ter.toFixed(2)}% · ≈ ${fmtCurrency(data.yearlyCost)} на рік`
+				: 'Середньозважений TER: — (вкажіть TER у даних фонду на вкладці ETF)';
+			const noteEl = $('#exposure-note');
+			noteEl.textContent = data.noTer.length && data.ter != null ? `TER не вказано для: ${data.noTer.join(', ')} — ці позиції не враховано.` : '';
+			noteEl.classList.toggle('hidden', !noteEl.textContent);
+			[['regions', '#exposure-regions'], ['sectors', '#exposure-sectors'], ['assetClass', '#exposure-classes']].forEach(([k, sel]) => {
+				const list = $(sel);
+				list.innerHTML = '';
+				data[k].forEach((r) => {
+					const li = document.createElement('li');
+					li.title = fmtCurrency(r.value);
+					const head = document.createElement('div');
+					head.className = 'flex justify-between gap-2';
+					const name = document.createElement('span');
+					name.textContent = r.name;
+					if (r.name === EXPOSURE_UNKNOWN) name.className = 'text-slate-500';
+					const pct = document.createElement('span');
+					pct.className = 'tabular-nums';
+					pct.textContent = `${r.pct.toFixed(1)}%`;
+					head.append(name, pct);
+					const bar = document.createElement('div');
+					bar.className = 'h-1.5 rounded-full bg-slate-100 dark:bg-slate-800';
+					const fill = document.createElement('div');
+					fill.className = `h-1.5 rounded-full ${r.name === EXPOSURE_UNKNOWN ? 'bg-slate-400' : 'bg-indigo-500'}`;
+					fill.style.width = `${Math.min(100, r.pct)}%`;
+					bar.appendChild(fill);
+					li.append(head, bar);
+					list.appendChild(li);
+				});
+			});
 		}
 
 		function renderDashboard() {
-		const { invested, current, pl, plPct } = computeTotals();
+		const { invested, current, pl, plPct, realized, unrealized, unrealizedPct } = computeTotals();
 		$('#stat-invested').textContent = fmtCurrency(invested);
 		$('#stat-current').textContent = fmtCurrency(current);
 		const plEl = $('#stat-pl');
 		plEl.textContent = `${fmtCurrency(pl)} (${plPct.toFixed(2)}%)`;
 		plEl.classList.toggle('text-emerald-600', pl >= 0);
 		plEl.classList.toggle('text-red-600', pl < 0);
+		const unrealizedEl = $('#stat-unrealized');
+		unrealizedEl.textContent = `${fmtCurrency(unrealized)} (${unrealizedPct.toFixed(2)}%)`;
+		unrealizedEl.classList.toggle('text-emerald-600', unrealized >= 0);
+		unrealizedEl.classList.toggle('text-red-600', unrealized < 0);
+		const realizedEl = $('#stat-realized');
+		realizedEl.textContent = fmtCurrency(realized);
+		realizedEl.classList.toggle('text-emerald-600', realized >= 0);
+		realizedEl.classList.toggle('text-red-600', realized < 0);
+		const { balance, dividends } = computeCash();
+		$('#stat-cash').textContent = fmtCurrency(balance);
+		$('#stat-dividends').textContent = fmtCurrency(dividends);
+		const totalReturn = computeTotalReturn();
+		const totalReturnEl = $('#stat-total-return');
+		totalReturnEl.textContent = `${fmtCurrency(totalReturn.value)} (${totalReturn.pct.toFixed(2)}%)`;
+		totalReturnEl.classList.toggle('text-emerald-600', totalReturn.value >= 0);
+		totalReturnEl.classList.toggle('text-red-600', totalReturn.value < 0);
+		renderPositions();
+		renderAllocation();
+		renderExposure();
+		renderFxAttribution();
+		const methodEl = $('#cost-method');
+		methodEl.value = ui.costMethod;
+		methodEl.onchange = () => { ui.costMethod = methodEl.value; saveUi(); renderDashboard(); };
 
 			// Portfolio chart and ETF chart updates
+			const dividendsToggle = $('#portfolio-dividends');
+			dividendsToggle.checked = !!ui.showDividends;
+			dividendsToggle.onchange = () => { ui.showDividends = dividendsToggle.checked; saveUi(); renderPortfolioChart(); };
+			renderBenchmarkSelect();
 			renderPortfolioChart();
+			renderReturns();
+			renderRisk();
 			$('#portfolio-from')?.addEventListener('change', renderPortfolioChart);
 			$('#portfolio-to')?.addEventListener('change', renderPortfolioChart);
+			$('#portfolio-from').onchange = () => { renderReturns(); renderRisk(); };
+			$('#portfolio-to').onchange = () => { renderReturns(); renderRisk(); };
 
 			// Dynamic goals UI
 					const list = $('#goals-list');
 			const addBtn = $('#goal-add');
 			list.innerHTML = '';
+			const inputCls = 'w-full px-3 py-2 rounded-md border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950';
 			const renderGoals = () => {
 				list.innerHTML = '';
 				goals.forEach((g) => {
@@ -653,49 +5165,232 @@
 							</div>
 						</div>
 						<div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
-							<label class="block text-sm">Ціль (€)
-								<input data-field="target" type="number" step="1" min="0" value="${g.target}" class="w-full px-3 py-2 rounded-md border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950" />
+							<label class="block text-sm">Ціль (${baseSign()})
+								<input data-field="target" type="number" step="1" min="0" value="${g.target}" class="${inputCls}" />
+							</label>
+							<label class="block text-sm">Щомісяця (${baseSign()})
+								<input data-field="monthly" type="number" step="1" min="0" value="${g.monthly}" class="${inputCls}" />
+								<span class="inline-flex items-center gap-2 mt-1 text-xs text-slate-500"><input data-field="monthlyFromPlans" type="checkbox" class="rounded" /> З активних планів</span>
+							</label>
+							<label class="block text-sm">Очікувана дохідність (% річних)
+								<input data-field="annualReturn" type="number" step="0.1" value="${g.annualReturn ?? 0}" class="${inputCls}" />
 							</label>
-							<label class="block text-sm">Щомісяця (€)
-								<input data-field="monthly" type="number" step="1" min="0" value="${g.monthly}" class="w-full px-3 py-2 rounded-md border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950" />
+							<label class="block text-sm">Стартовий баланс
+								<div class="flex gap-2">
+									<select data-field="startMode" class="${inputCls}">
+										<option value="none">Немає</option>
+										<option value="manual">Сума</option>
+										<option value="current">Поточна вартість портфеля</option>
+									</select>
+									<input data-field="startBalance" type="number" step="1" min="0" value="${g.startBalance ?? 0}" class="${inputCls}" />
+								</div>
 							</label>
 						</div>
-						<div class="mt-2 text-sm text-slate-600 dark:text-slate-300">Час до цілі: <span data-field="time">—</span></div>
+						<div class="mt-2 text-sm text-slate-600 dark:text-slate-300">Час до цілі: <span data-field="time">—</span> · Дата досягнення: <span data-field="date">—</span></div>
+						<canvas data-role="projection" height="120" class="mt-3"></canvas>
 						<div class="mt-2 text-xs text-slate-500">Порада: зміни значення — час перерахується автоматично.</div>
+						<details data-role="sim" class="mt-3">
+							<summary class="cursor-pointer text-sm font-medium">🎲 Симуляція Монте-Карло</summary>
+							<div class="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-2">
+								<label class="block text-sm">Джерело
+									<select data-sim="source" class="${inputCls}">
+										<option value="history">Історія цін ETF</option>
+										<option value="manual">Вручну</option>
+									</select>
+								</label>
+								<label class="block text-sm">Дохідність (% річних)
+									<input data-sim="annualReturn" type="number" step="0.1" class="${inputCls}" />
+								</label>
+								<label class="block text-sm">Волатильність (% річних)
+									<input data-sim="volatility" type="number" step="0.1" min="0" class="${inputCls}" />
+								</label>
+								<label class="block text-sm">Досягти до
+									<input data-sim="byDate" type="month" class="${inputCls}" />
+								</label>
+								<label class="block text-sm">Сценаріїв
+									<input data-sim="paths" type="number" step="100" min="100" max="20000" class="${inputCls}" />
+								</label>
+								<label class="block text-sm">Seed
+									<input data-sim="seed" type="number" step="1" class="${inputCls}" />
+								</label>
+							</div>
+							<div class="flex items-center gap-2 mt-2">
+								<button data-action="simulate" class="px-3 py-1.5 rounded-md bg-indigo-600 text-white hover:bg-indigo-700">▶️ Запустити</button>
+								<span data-sim="status" class="text-sm text-slate-500"></span>
+							</div>
+							<div data-sim="result" class="text-sm mt-2"></div>
+							<canvas data-sim="chart" height="120" class="mt-2 hidden"></canvas>
+						</details>
 					`;
 					const nameEl = card.querySelector('input');
-					const targetEl = card.querySelector('[data-field="target"]');
-					const monthlyEl = card.querySelector('[data-field="monthly"]');
-					const timeEl = card.querySelector('[data-field="time"]');
-											const refresh = () => {
-												const targetVal = parseFloat(targetEl.value);
-												const monthlyVal = parseFloat(monthlyEl.value);
-												if (!isFinite(targetVal) || !isFinite(monthlyVal) || monthlyVal <= 0) {
-													timeEl.textContent = 'неможливо';
-													return;
-												}
-												const months = monthsToReach(targetVal, monthlyVal);
+					const field = (name) => card.querySelector(`[data-field="${name}"]`);
+					const targetEl = field('target');
+					const monthlyEl = field('monthly');
+					const fromPlansEl = field('monthlyFromPlans');
+					fromPlansEl.checked = !!g.monthlyFromPlans;
+					const returnEl = field('annualReturn');
+					const startModeEl = field('startMode');
+					const startBalanceEl = field('startBalance');
+					const timeEl = field('time');
+					const dateEl = field('date');
+					const canvas = card.querySelector('[data-role="projection"]');
+					startModeEl.value = g.startMode || 'none';
+					let chart;
+					const refresh = () => {
+						startBalanceEl.disabled = startModeEl.value !== 'manual';
+						monthlyEl.disabled = fromPlansEl.checked;
+						if (fromPlansEl.checked) monthlyEl.value = goalMonthly(g).toFixed(2);
+						if (startModeEl.value === 'current') startBalanceEl.value = goalStartBalance(g).toFixed(2);
+						const targetVal = parseFloat(targetEl.value);
+						if (!isFinite(targetVal)) {
+							timeEl.textContent = 'неможливо';
+							dateEl.textContent = '—';
+							return;
+						}
+						const months = monthsToReach(targetVal, goalMonthly(g), { annualReturn: g.annualReturn, start: goalStartBalance(g) });
 						const t = ymFromMonths(months);
 						timeEl.textContent = isFinite(months) ? `${t.y} р. ${t.m} міс.` : 'неможливо';
+						dateEl.textContent = isFinite(months) ? new Date(addMonths(Date.now(), months)).toLocaleDateString(undefined, { year: 'numeric', month: 'long' }) : '—';
+
+						const points = projectGoal(g, months);
+						if (chart) chart.destroy();
+						try { Chart.getChart(canvas)?.destroy(); } catch (_) {}
+						chart = new Chart(canvas, {
+							type: 'line',
+							data: { datasets: [
+								{ label: 'Прогноз балансу', data: points, borderColor: 'hsl(210 70% 50%)', pointRadius: 0, tension: 0.2 },
+								{ label: 'Ціль', data: [{ x: points[0].x, y: targetVal }, { x: points[points.length - 1].x, y: targetVal }], borderColor: 'hsl(10 70% 50%)', borderDash: [6,4], pointRadius: 0 },
+							] },
+							options: { parsing: false, plugins:{ legend:{ display:false } }, scales: { x: { type:'linear', ticks: { callback: (v)=> new Date(v).toLocaleDateString(undefined, { year: 'numeric', month: 'short' }) } }, y: { title:{display:true, text:baseSign()} } } }
+						});
 					};
 					const persist = () => {
 										g.name = nameEl.value.trim() || g.name;
 										g.target = parseFloat(targetEl.value) || 0;
-										g.monthly = parseFloat(monthlyEl.value) || 0;
+										if (!g.monthlyFromPlans) g.monthly = parseFloat(monthlyEl.value) || 0;
+						g.annualReturn = parseFloat(returnEl.value) || 0;
+						g.startMode = startModeEl.value;
+						if (g.startMode !== 'current') g.startBalance = parseFloat(startBalanceEl.value) || 0;
 						saveGoals();
 						refresh();
 					};
 					nameEl.oninput = persist; targetEl.oninput = persist; monthlyEl.oninput = persist;
+					returnEl.oninput = persist; startBalanceEl.oninput = persist;
+					fromPlansEl.onchange = () => {
+						g.monthlyFromPlans = fromPlansEl.checked;
+						// Unticking goes back to the manually entered amount
+						if (!g.monthlyFromPlans) monthlyEl.value = g.monthly ?? 0;
+						persist();
+					};
+					startModeEl.onchange = () => {
+						// Leaving "current" restores the manually entered amount
+						if (startModeEl.value !== 'current') startBalanceEl.value = g.startBalance ?? 0;
+						persist();
+					};
 					card.querySelector('[data-action="remove"]').onclick = () => {
 						goals = goals.filter(x=>x!==g); saveGoals(); renderGoals();
 					};
-					refresh();
 					list.appendChild(card);
+					refresh();
+					bindGoalSimulation(card, g);
 				});
 			};
+			// Monte Carlo panel of a goal card; settings persist on the goal so runs are reproducible
+			function bindGoalSimulation(card, g) {
+				const sim = (name) => card.querySelector(`[data-sim="${name}"]`);
+				const sourceEl = sim('source');
+				const returnEl = sim('annualReturn');
+				const volEl = sim('volatility');
+				const byDateEl = sim('byDate');
+				const pathsEl = sim('paths');
+				const seedEl = sim('seed');
+				const statusEl = sim('status');
+				const resultEl = sim('result');
+				const canvas = sim('chart');
+				const stats = estimateReturnStats();
+				const defaultBy = new Date(addMonths(Date.now(), 120)).toISOString().slice(0, 7);
+				// Defaults stay local until the user changes a setting, so rendering never touches saved data
+				const cfg = { source: 'history', annualReturn: g.annualReturn ?? 0, volatility: 15, byDate: defaultBy, paths: 2000, seed: 42, ...(g.sim || {}) };
+				sourceEl.value = cfg.source;
+				byDateEl.value = cfg.byDate;
+				pathsEl.value = cfg.paths;
+				seedEl.value = cfg.seed;
+				const syncInputs = () => {
+					const fromHistory = sourceEl.value === 'history';
+					returnEl.disabled = fromHistory;
+					volEl.disabled = fromHistory;
+					if (fromHistory) {
+						// Shown as expected simple return of the estimated lognormal
+						returnEl.value = stats ? ((Math.exp(stats.mu + stats.sigma * stats.sigma / 2) - 1) * 100).toFixed(2) : '';
+						volEl.value = stats ? (stats.sigma * 100).toFixed(2) : '';
+					} else {
+						returnEl.value = cfg.annualReturn;
+						volEl.value = cfg.volatility;
+					}
+				};
+				const persistSim = () => {
+					cfg.source = sourceEl.value;
+					if (sourceEl.value === 'manual') {
+						cfg.annualReturn = parseFloat(returnEl.value) || 0;
+						cfg.volatility = Math.max(0, parseFloat(volEl.value) || 0);
+					}
+					cfg.byDate = byDateEl.value || defaultBy;
+					cfg.paths = Math.min(20000, Math.max(100, parseInt(pathsEl.value, 10) || 2000));
+					cfg.seed = parseInt(seedEl.value, 10) || 0;
+					g.sim = cfg;
+					saveGoals();
+				};
+				sourceEl.onchange = () => { persistSim(); syncInputs(); };
+				[returnEl, volEl, byDateEl, pathsEl, seedEl].forEach((el) => { el.onchange = persistSim; });
+				syncInputs();
+
+				let chart;
+				card.querySelector('[data-action="simulate"]').onclick = async () => {
+					persistSim();
+					let mu;
+					let sigma;
+					if (cfg.source === 'history') {
+						if (!stats) { statusEl.textContent = 'Замало історії цін для оцінки.'; return; }
+						({ mu, sigma } = stats);
+					} else {
+						sigma = cfg.volatility / 100;
+						mu = Math.log(1 + cfg.annualReturn / 100) - sigma * sigma / 2;
+					}
+					const [y, mo] = cfg.byDate.split('-').map(Number);
+					const now = new Date();
+					const months = (y - now.getFullYear()) * 12 + (mo - 1 - now.getMonth());
+					if (!(months >= 1)) { statusEl.textContent = 'Оберіть дату в майбутньому.'; return; }
+					statusEl.textContent = 'Рахуємо…';
+					const target = +g.target || 0;
+					try {
+						const res = await simulateInBackground({ start: goalStartBalance(g), monthly: goalMonthly(g), target, months, paths: cfg.paths, seed: cfg.seed, mu, sigma });
+						statusEl.textContent = '';
+						const last = res.bands[res.bands.length - 1];
+						resultEl.textContent = `Ймовірність досягти ${fmtCurrency(target)} до ${new Date(y, mo - 1).toLocaleDateString(undefined, { year: 'numeric', month: 'long' })}: ${(res.probability * 100).toFixed(1)}% · на дату: P10 ${fmtCurrency(last.p10)} · P50 ${fmtCurrency(last.p50)} · P90 ${fmtCurrency(last.p90)}`;
+						canvas.classList.remove('hidden');
+						if (chart) chart.destroy();
+						try { Chart.getChart(canvas)?.destroy(); } catch (_) {}
+						const x = (n) => addMonths(Date.now(), n);
+						chart = new Chart(canvas, {
+							type: 'line',
+							data: { datasets: [
+								{ label: 'P10', data: res.bands.map((b) => ({ x: x(b.month), y: b.p10 })), borderColor: 'hsl(10 70% 55%)', backgroundColor: 'hsl(210 70% 50% / 0.12)', fill: '+2', pointRadius: 0 },
+								{ label: 'P50', data: res.bands.map((b) => ({ x: x(b.month), y: b.p50 })), borderColor: 'hsl(210 70% 50%)', pointRadius: 0 },
+								{ label: 'P90', data: res.bands.map((b) => ({ x: x(b.month), y: b.p90 })), borderColor: 'hsl(150 60% 40%)', pointRadius: 0 },
+								{ label: 'Ціль', data: [{ x: x(0), y: target }, { x: x(months), y: target }], borderColor: 'hsl(0 0% 50%)', borderDash: [6,4], pointRadius: 0 },
+							] },
+							options: { parsing: false, plugins:{ legend:{ display:true } }, scales: { x: { type:'linear', ticks: { callback: (v)=> new Date(v).toLocaleDateString(undefined, { year: 'numeric', month: 'short' }) } }, y: { title:{display:true, text:baseSign()} } } }
+						});
+					} catch (err) {
+						console.error(err);
+						statusEl.textContent = 'Не вдалося виконати симуляцію.';
+					}
+				};
+			}
+
 			addBtn.onclick = () => {
 				const id = `goal_${Date.now()}`;
-				goals.push({ id, name: 'Нова мета', target: 0, monthly: 0 });
+				goals.push({ id, name: 'Нова мета', target: 0, monthly: 0, annualReturn: 0, startMode: 'none', startBalance: 0 });
 				saveGoals();
 				renderGoals();
 			};
@@ -703,6 +5398,88 @@
 	}
 
 	// ---------- Init ----------
+		// Yearly statement: years with any trade or income, newest first
+		function renderReports() {
+			const yearEl = $('#report-year');
+			const methodEl = $('#report-method');
+			const years = new Set([new Date().getFullYear()]);
+			purchases.forEach((p) => years.add(new Date(p.ts).getFullYear()));
+			cash.forEach((c) => years.add(new Date(c.ts).getFullYear()));
+			const list = [...years].sort((a, b) => b - a);
+			const settings = ui.report || {};
+			// The last finished year is what is usually reported
+			const year = list.includes(settings.year) ? settings.year : (list.includes(new Date().getFullYear() - 1) ? new Date().getFullYear() - 1 : list[0]);
+			yearEl.innerHTML = list.map((y) => `<option value="${y}">${y}</option>`).join('');
+			yearEl.value = String(year);
+			methodEl.innerHTML = Object.entries(COST_METHODS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+			methodEl.value = COST_METHODS[settings.method] ? settings.method : ui.costMethod;
+			const persist = () => {
+				ui.report = { year: +yearEl.value, method: methodEl.value };
+				saveUi();
+				renderReports();
+			};
+			yearEl.onchange = persist;
+			methodEl.onchange = persist;
+
+			const report = buildYearReport(+yearEl.value, methodEl.value);
+			const portfolioName = isConsolidated() ? 'усі портфелі' : portfolios.find((p) => p.id === ui.portfolio)?.name;
+			const title = `Звіт за ${report.year} рік — ${portfolioName}`;
+			const body = $('#report-body');
+			body.innerHTML = '';
+			reportSections(report).forEach((sec) => {
+				const h = document.createElement('h4');
+				h.className = 'font-medium mt-6 mb-2';
+				h.textContent = sec.title;
+				body.appendChild(h);
+				const wrap = document.createElement('div');
+				wrap.className = 'overflow-x-auto';
+				const table = document.createElement('table');
+				table.className = 'w-full text-sm';
+				const head = document.createElement('tr');
+				head.className = 'text-left text-slate-500';
+				sec.cols.forEach(([label]) => {
+					const th = document.createElement('th');
+					th.className = 'py-2';
+					th.textContent = label;
+					head.appendChild(th);
+				});
+				table.appendChild(head);
+				if (!sec.rows.length) {
+					const tr = document.createElement('tr');
+					tr.className = 'border-t border-slate-200 dark:border-slate-800 text-slate-500';
+					tr.innerHTML = `<td class="py-2" colspan="${sec.cols.length}">Немає записів</td>`;
+					table.appendChild(tr);
+				}
+				sec.rows.forEach((row, i) => {
+					const tr = document.createElement('tr');
+					tr.className = 'border-t border-slate-200 dark:border-slate-800';
+					row.forEach((v, j) => {
+						const [label, type] = sec.cols[j];
+						const td = document.createElement('td');
+						td.className = 'py-2';
+						td.textContent = formatReportCell(v, type, sec.currencies?.[i]);
+						if (label === 'Результат' && v != null) td.classList.add(v >= 0 ? 'text-emerald-600' : 'text-red-600');
+						tr.appendChild(td);
+					});
+					table.appendChild(tr);
+				});
+				wrap.appendChild(table);
+				body.appendChild(wrap);
+			});
+
+			const fileName = `report-${report.year}-${report.method}`;
+			$('#btn-report-csv').onclick = () => downloadFile(`${fileName}.csv`, reportCsv(report), 'text/csv');
+			$('#btn-report-html').onclick = () => downloadFile(`${fileName}.html`, reportHtml(report, title), 'text/html');
+			$('#btn-report-print').onclick = () => {
+				const win = window.open('', '_blank');
+				if (!win) { alert('Браузер заблокував нове вікно — дозвольте спливаючі вікна або збережіть HTML.'); return; }
+				win.document.write(reportHtml(report, title));
+				win.document.close();
+				win.focus();
+				win.print();
+			};
+		}
+
 		function buildEtfChartControls() {
 			const box = $('#etf-chart-symbols');
 			if (!box) return;
@@ -713,9 +5490,16 @@
 				const label = document.createElement('label');
 				label.className = 'inline-flex items-center gap-1 text-sm';
 				const checked = prevSelected.size ? prevSelected.has(e.symbol) : true;
-				label.innerHTML = `<input id="${id}" type="checkbox" value="${e.symbol}" class="rounded" ${checked?'checked':''}> ${e.symbol}`;
+				label.innerHTML = `<input id="${id}" type="checkbox" class="rounded" ${checked?'checked':''}> `;
+				label.firstElementChild.value = e.symbol;
+				label.append(e.symbol);
 				box.appendChild(label);
 			});
+			const viewEl = $('#etf-chart-view');
+			if (viewEl) {
+				viewEl.value = ui.etfChartView || 'price';
+				viewEl.onchange = () => { ui.etfChartView = viewEl.value; saveUi(); renderEtfChart(); };
+			}
 			$('#etf-chart-from')?.addEventListener('change', renderEtfChart);
 			$('#etf-chart-to')?.addEventListener('change', renderEtfChart);
 			box.addEventListener('change', renderEtfChart);
@@ -727,7 +5511,8 @@
 			btn.addEventListener('click', () => setActiveTab(btn.dataset.tab));
 		});
 			// Header actions
-			$('#btn-export')?.addEventListener('click', exportAll);
+			$('#btn-export')?.addEventListener('click', openExport);
+			$('#btn-backups')?.addEventListener('click', openBackups);
 			$('#btn-import')?.addEventListener('click', () => $('#file-import').click());
 			$('#file-import')?.addEventListener('change', (e) => {
 				const file = e.target.files?.[0];
@@ -735,27 +5520,59 @@
 				e.target.value = '';
 			});
 			$('#btn-reset')?.addEventListener('click', resetAll);
+			renderPortfolioSwitcher();
+			$('#btn-undo')?.addEventListener('click', undo);
+			$('#btn-redo')?.addEventListener('click', redo);
+			$('#btn-audit')?.addEventListener('click', openAuditLog);
+			$('#btn-alerts')?.addEventListener('click', openAlerts);
+			$('#btn-sync')?.addEventListener('click', openSync);
+			setSyncStatus(describeSyncState());
+			// Form fields keep their own native undo
+			document.addEventListener('keydown', (ev) => {
+				if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+				if (ev.target.closest?.('input, textarea, select, [contenteditable]') || document.querySelector('dialog[open]')) return;
+				const key = ev.key.toLowerCase();
+				if (key === 'z' && !ev.shiftKey) { ev.preventDefault(); undo(); }
+				else if ((key === 'z' && ev.shiftKey) || key === 'y') { ev.preventDefault(); redo(); }
+			});
+			updateHistoryButtons();
+			const storageEl = $('#storage-mode');
+			if (storageEl) {
+				storageEl.value = storageMode;
+				storageEl.addEventListener('change', async () => {
+					if (!(await setStorageMode(storageEl.value))) storageEl.value = storageMode;
+				});
+			}
+			const baseEl = $('#base-currency');
+			if (baseEl) {
+				baseEl.value = ui.baseCurrency;
+				baseEl.addEventListener('change', () => {
+					ui.baseCurrency = baseEl.value;
+					saveUi();
+					setActiveTab(ui.active || 'etfs');
+				});
+			}
 		setActiveTab(ui.active || 'etfs');
 				buildEtfChartControls();
 	}
 
 	async function ensureDefaults() {
 		// If none of the keys exist yet, prefill from default-data.json
-		const hasAny = localStorage.getItem(LS_KEYS.etfs)
-			|| localStorage.getItem(LS_KEYS.purchases)
-			|| localStorage.getItem(LS_KEYS.goals)
-			|| localStorage.getItem(LS_KEYS.ui);
+		const hasAny = ['etfs', 'purchases', 'goals', 'cash', 'fx', 'plans', 'alerts', 'portfolios', 'ui'].some((name) => storage.has(LS_KEYS[name]));
 		if (hasAny) return;
 		try {
 			const res = await fetch('./default-data.json', { cache: 'no-store' });
 			if (!res.ok) throw new Error(`Failed to fetch defaults: ${res.status}`);
-			const data = await res.json();
-			if (!Array.isArray(data.etfs) || !Array.isArray(data.purchases)) throw new Error('Invalid defaults');
+			const data = migrateData(await res.json());
 			etfs = data.etfs || [];
 			purchases = data.purchases || [];
 			goals = Array.isArray(data.goals) ? data.goals : [];
-			ui = data.ui || { active: 'etfs', expandedEtfs: [] };
-			saveEtfs(); savePurchases(); saveGoals(); saveUi();
+			cash = Array.isArray(data.cash) ? data.cash : [];
+			fx = Array.isArray(data.fx) ? data.fx : [];
+			plans = Array.isArray(data.plans) ? data.plans : [];
+			alerts = Array.isArray(data.alerts) ? data.alerts : [];
+			ui = { ...(data.ui || { active: 'etfs', expandedEtfs: [] }), portfolio: DEFAULT_PORTFOLIO };
+			saveEtfs(); savePurchases(); saveGoals(); saveCash(); saveFx(); savePlans(); saveAlerts(); saveUi();
 		} catch (e) {
 			console.warn('Default data load failed:', e);
 		} finally {
@@ -763,8 +5580,365 @@
 		}
 	}
 
+	// Header portfolio switcher; the trailing options are actions rather than portfolios
+	function renderPortfolioSwitcher() {
+		const el = $('#portfolio-select');
+		if (!el) return;
+		el.innerHTML = '';
+		const add = (value, text) => {
+			const opt = document.createElement('option');
+			opt.value = value;
+			opt.textContent = text;
+			el.appendChild(opt);
+		};
+		portfolios.forEach((p) => add(p.id, `📁 ${p.name}`));
+		if (portfolios.length > 1) add(ALL_PORTFOLIOS, 'Σ Усі портфелі');
+		add('action:new', '➕ Новий портфель…');
+		if (!isConsolidated()) add('action:rename', '✏️ Перейменувати…');
+		if (!isConsolidated() && ui.portfolio !== DEFAULT_PORTFOLIO) add('action:delete', '🗑️ Видалити портфель…');
+		el.value = ui.portfolio;
+		el.onchange = () => {
+			const value = el.value;
+			el.value = ui.portfolio;
+			if (value === 'action:new') return createPortfolio();
+			if (value === 'action:rename') return renamePortfolio();
+			if (value === 'action:delete') return deletePortfolio();
+			switchPortfolio(value);
+		};
+	}
+
+	function switchPortfolio(id) {
+		// Pending saves belong to the portfolio being left
+		if (touched.size) flushHistory();
+		ui.portfolio = id;
+		saveUi();
+		reloadState();
+		if (materializePlans()) labelNextChange('Виконання планів');
+		renderPortfolioSwitcher();
+		refreshPurchaseSymbols();
+		setActiveTab(ui.active || 'etfs');
+	}
+
+	function createPortfolio() {
+		const name = prompt('Назва нового портфеля:', '')?.trim();
+		if (!name) return;
+		const id = `pf_${Date.now()}`;
+		portfolios.push({ id, name });
+		savePortfolios();
+		switchPortfolio(id);
+	}
+
+	function renamePortfolio() {
+		const p = portfolios.find((x) => x.id === ui.portfolio);
+		const name = prompt('Нова назва портфеля:', p.name)?.trim();
+		if (!name) return;
+		p.name = name;
+		savePortfolios();
+		renderPortfolioSwitcher();
+	}
+
+	function deletePortfolio() {
+		const p = portfolios.find((x) => x.id === ui.portfolio);
+		if (!confirm(`Видалити портфель «${p.name}» разом з його операціями, рахунком, планами, цілями й сповіщеннями? Це не можна скасувати.`)) return;
+		[...PORTFOLIO_COLLECTIONS, 'alertState'].forEach((name) => storage.remove(portfolioKey(LS_KEYS[name], p.id)));
+		portfolios = portfolios.filter((x) => x !== p);
+		savePortfolios();
+		switchPortfolio(DEFAULT_PORTFOLIO);
+	}
+
+	// Browsable change log, newest first; changed items list only the fields that differ
+	function openAuditLog() {
+		const dlg = $('#dlg-audit');
+		const entriesEl = $('[data-role="entries"]', dlg);
+		const filterEl = $('[data-input="collection"]', dlg);
+		const fmtVal = (v) => (v === undefined ? '—' : JSON.stringify(v));
+
+		function changeLine(c) {
+			const li = document.createElement('li');
+			li.className = 'py-0.5';
+			const label = `${KIND_SIGNS[c.kind]} ${COLLECTION_LABELS[c.collection]}: ${describeItem(c.collection, c.after || c.before)}`;
+			if (c.kind !== 'changed') {
+				li.textContent = label;
+				li.classList.add(c.kind === 'added' ? 'text-emerald-600' : 'text-red-600');
+				return li;
+			}
+			const fields = [...new Set([...Object.keys(c.before || {}), ...Object.keys(c.after || {})])]
+				.filter((k) => JSON.stringify(c.before?.[k]) !== JSON.stringify(c.after?.[k]))
+				.map((k) => `${k}: ${fmtVal(c.before?.[k])} → ${fmtVal(c.after?.[k])}`);
+			li.textContent = `${label} (${fields.join('; ')})`;
+			li.classList.add('text-amber-600');
+			return li;
+		}
+
+		function render() {
+			const only = filterEl.value;
+			const list = auditLog
+				.filter((e) => !only || e.changes.some((c) => c.collection === only))
+				.slice()
+				.reverse();
+			entriesEl.innerHTML = '';
+			$('[data-role="empty"]', dlg).classList.toggle('hidden', list.length > 0);
+			list.forEach((e) => {
+				const details = document.createElement('details');
+				details.className = 'border-t border-slate-200 dark:border-slate-800 py-2';
+				const summary = document.createElement('summary');
+				summary.className = 'cursor-pointer';
+				summary.textContent = `${fmtDate(e.ts)} · ${e.action} · змін: ${e.total}`;
+				const ul = document.createElement('ul');
+				ul.className = 'mt-1 pl-4 text-xs font-mono';
+				e.changes.filter((c) => !only || c.collection === only).forEach((c) => ul.appendChild(changeLine(c)));
+				if (e.total > e.changes.length) {
+					const li = document.createElement('li');
+					li.textContent = `…і ще ${e.total - e.changes.length}`;
+					ul.appendChild(li);
+				}
+				details.append(summary, ul);
+				entriesEl.appendChild(details);
+			});
+		}
+
+		filterEl.onchange = render;
+		$('[data-action="clear"]', dlg).onclick = () => {
+			if (!confirm('Очистити журнал змін? Самі дані не зміняться.')) return;
+			auditLog = [];
+			saveAudit();
+			render();
+		};
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		render();
+		dlg.showModal();
+	}
+
+	// Alert centre: fired alerts with acknowledge/snooze, then the rules of the current portfolio
+	function openAlerts() {
+		const dlg = $('#dlg-alerts');
+		const firedEl = $('[data-role="fired"]', dlg);
+		const rulesEl = $('[data-role="rules"]', dlg);
+		const form = $('[data-role="form"]', dlg);
+		const field = (name) => $(`[data-input="${name}"]`, dlg);
+		const permissionBtn = $('[data-action="permission"]', dlg);
+		const button = (text, title, onclick) => {
+			const btn = document.createElement('button');
+			btn.type = 'button';
+			btn.className = 'px-2 py-1 rounded-md bg-slate-100 hover:bg-slate-200 dark:bg-slate-800 dark:hover:bg-slate-700 text-xs';
+			btn.textContent = text;
+			btn.title = title;
+			btn.onclick = onclick;
+			return btn;
+		};
+
+		function updateState(id, patch) {
+			Object.assign(alertState[id], patch);
+			saveAlertState();
+			updateAlertBadge();
+			render();
+		}
+
+		function renderFired() {
+			const now = Date.now();
+			const list = alerts.filter((a) => alertState[a.id]).sort((a, b) => alertState[b.id].since - alertState[a.id].since);
+			firedEl.innerHTML = '';
+			$('[data-role="empty"]', dlg).classList.toggle('hidden', list.length > 0);
+			list.forEach((a) => {
+				const st = alertState[a.id];
+				const li = document.createElement('li');
+				li.className = `flex items-center justify-between gap-3 p-2 rounded-md ${isAlertUnread(a.id, now) ? 'bg-amber-50 dark:bg-amber-900/20' : 'bg-slate-50 dark:bg-slate-800/50 text-slate-500'}`;
+				const text = document.createElement('div');
+				const title = document.createElement('div');
+				title.className = 'font-medium';
+				title.textContent = describeAlert(a);
+				const status = st.ack ? 'прочитано' : st.snoozedUntil > now ? `відкладено до ${fmtDate(st.snoozedUntil)}` : 'нове';
+				const details = document.createElement('div');
+				details.className = 'text-xs';
+				details.textContent = `${st.text} · з ${fmtDate(st.since)} · ${status}`;
+				text.append(title, details);
+				li.appendChild(text);
+				if (!isConsolidated()) {
+					const actions = document.createElement('div');
+					actions.className = 'flex gap-1 shrink-0';
+					if (!st.ack) actions.appendChild(button('✓', 'Позначити прочитаним', () => updateState(a.id, { ack: true })));
+					actions.append(
+						button('💤 1 д', 'Відкласти на день', () => updateState(a.id, { snoozedUntil: Date.now() + DAY_MS })),
+						button('💤 7 д', 'Відкласти на тиждень', () => updateState(a.id, { snoozedUntil: Date.now() + 7 * DAY_MS })),
+					);
+					li.appendChild(actions);
+				}
+				firedEl.appendChild(li);
+			});
+		}
+
+		function renderRules() {
+			rulesEl.innerHTML = '';
+			alerts.forEach((a) => {
+				const li = document.createElement('li');
+				li.className = 'flex items-center justify-between gap-3 py-1 border-t border-slate-200 dark:border-slate-800';
+				const text = document.createElement('span');
+				text.textContent = `${ALERT_TYPES[a.type]}: ${describeAlert(a)}`;
+				const actions = document.createElement('div');
+				actions.className = 'flex gap-1 shrink-0';
+				actions.append(
+					button(a.notify ? '🔔' : '🔕', a.notify ? 'Вимкнути сповіщення браузера' : 'Увімкнути сповіщення браузера', () => {
+						if (a.notify) delete a.notify; else a.notify = true;
+						saveAlerts();
+						render();
+					}),
+					button('🗑️', 'Видалити правило', () => {
+						alerts = alerts.filter((x) => x !== a);
+						saveAlerts();
+						evaluateAlerts();
+						render();
+					}),
+				);
+				li.append(text, actions);
+				rulesEl.appendChild(li);
+			});
+		}
+
+		// Rule fields depend on the type; symbol and goal lists follow the current data
+		function renderForm() {
+			const type = field('type').value;
+			$$('[data-show]', form).forEach((el) => el.classList.toggle('hidden', !el.dataset.show.split(' ').includes(type)));
+			const symbolEl = field('symbol');
+			const symbol = symbolEl.value;
+			symbolEl.innerHTML = type === 'stale' ? '<option value="">Будь-який ETF</option>' : '';
+			etfs.forEach((e) => symbolEl.add(new Option(e.symbol, e.symbol)));
+			if ([...symbolEl.options].some((o) => o.value === symbol)) symbolEl.value = symbol;
+			const goalEl = field('goal');
+			goalEl.innerHTML = '';
+			goals.forEach((g) => goalEl.add(new Option(g.name, g.id)));
+			$('[data-role="value-unit"]', form).textContent = type === 'pl' ? '%' : baseSign();
+		}
+
+		function renderPermission() {
+			const supported = 'Notification' in window;
+			permissionBtn.disabled = !supported || Notification.permission !== 'default';
+			permissionBtn.textContent = !supported ? 'Браузер не підтримує сповіщення'
+				: Notification.permission === 'granted' ? '✓ Сповіщення браузера дозволено'
+				: Notification.permission === 'denied' ? 'Сповіщення браузера заборонено' : 'Дозволити сповіщення браузера';
+		}
+
+		function render() {
+			renderFired();
+			renderRules();
+			renderForm();
+			renderPermission();
+		}
+
+		field('type').onchange = renderForm;
+		form.onsubmit = (e) => {
+			e.preventDefault();
+			const type = field('type').value;
+			const rule = { id: `al_${Date.now()}`, type };
+			if (type === 'price' || type === 'pl') {
+				rule.op = field('op').value;
+				rule.value = parseFloat(String(field('value').value).replace(',', '.'));
+				if (!isFinite(rule.value)) return alert('Вкажіть поріг');
+			}
+			if (type === 'price') {
+				rule.symbol = field('symbol').value;
+				rule.currency = ui.baseCurrency;
+				if (!rule.symbol) return alert('Оберіть ETF');
+			}
+			if (type === 'stale') {
+				rule.days = parseInt(field('days').value, 10);
+				if (!(rule.days >= 1)) return alert('Кількість днів має бути від 1');
+				if (field('symbol').value) rule.symbol = field('symbol').value;
+			}
+			if (type === 'goal') {
+				rule.goalId = field('goal').value;
+				if (!rule.goalId) return alert('Спершу додайте ціль на дашборді');
+			}
+			if (field('notify').checked) rule.notify = true;
+			alerts.push(rule);
+			saveAlerts();
+			// Checked right away, so a rule that already holds shows up as fired
+			evaluateAlerts();
+			field('value').value = '';
+			render();
+		};
+		permissionBtn.onclick = async () => {
+			await Notification.requestPermission();
+			renderPermission();
+		};
+		$('[data-action="cancel"]', dlg).onclick = () => dlg.close();
+		render();
+		dlg.showModal();
+	}
+
+	// Switching to server mode either adopts the server's data or uploads the local copy
+	async function setStorageMode(mode) {
+		if (mode === 'server') {
+			try {
+				const data = await apiRequest('GET', './api/data');
+				if (!serverIsEmpty(data) && confirm('На сервері вже є дані. Завантажити їх? (Скасувати — перезаписати сервер локальними даними)')) {
+					applyServerData(data);
+				} else {
+					await pushAllToServer();
+				}
+			} catch (err) {
+				console.error(err);
+				alert('Сервер недоступний. Запустіть `npm start` і відкрийте застосунок з нього.');
+				return false;
+			}
+		}
+		storageMode = mode;
+		storage.set(LS_KEYS.storageMode, mode);
+		setServerStatus(mode === 'server' ? '🌐 синхронізовано' : '');
+		refreshPurchaseSymbols();
+		setActiveTab(ui.active || 'etfs');
+		return true;
+	}
+
+	async function loadFromServer() {
+		try {
+			const data = await apiRequest('GET', './api/data');
+			// Fresh data file: seed it from whatever this browser has
+			if (serverIsEmpty(data)) {
+				await ensureDefaults();
+				await pushAllToServer();
+			} else {
+				applyServerData(data);
+			}
+			setServerStatus('🌐 синхронізовано');
+		} catch (err) {
+			console.error(err);
+			setServerStatus('⚠️ сервер недоступний — локальна копія', true);
+		}
+	}
+
+	// Closing the tab right after a save (or after a failed one) would lose it
+	window.addEventListener('beforeunload', (ev) => {
+		if (!storage.pending()) return;
+		ev.preventDefault();
+		ev.returnValue = '';
+	});
+
+	// The node:test suite (test/) runs this file in a bare VM context that defines __SIP_TEST__; a page never does
+	if (window.__SIP_TEST__) {
+		Object.assign(window.__SIP_TEST__, {
+			storage, loadState, SCHEMA_VERSION, MIGRATIONS, migrateData, validateData, mergeData,
+			priceEntry, fxSeries, fxRate, rawPriceAt, rawPriceAsOf, createLedger, buildLedger, computeTotals, xirr, parseWeights,
+		});
+	}
+
 	window.addEventListener('DOMContentLoaded', async () => {
+		await storage.open();
+		loadState();
+		resetHistory();
+		if (storageMode === 'server') await loadFromServer();
 		await ensureDefaults();
+		// History steps are flushed after this tick, so the label still applies
+		if (materializePlans()) labelNextChange('Виконання планів');
 		initTabs();
+		scheduleAlertCheck();
+		autoBackup();
+		setInterval(autoBackup, BACKUP_CHECK_MS);
+		syncNow();
+		setInterval(() => { if (!document.hidden) syncNow(); }, SYNC_INTERVAL_MS);
+		window.addEventListener('online', () => syncNow());
+		// Offline support; a page opened from file:// can't register a service worker
+		if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+			navigator.serviceWorker.register('./sw.js').catch((err) => console.warn('Service worker registration failed:', err));
+		}
 	});
 })();
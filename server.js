@@ -1,29 +1,470 @@
-// Minimal static file server for local development
+// Minimal static file server for local development, plus a small JSON API backed by a data file
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 
 const port = process.env.PORT || 5173;
 const root = __dirname;
+const dataFile = path.resolve(process.env.DATA_FILE || path.join(root, 'data.json'));
+const syncFile = path.resolve(process.env.SYNC_FILE || path.join(root, 'sync.json'));
+// Other sites that may use the sync log (e.g. a copy of the app on GitHub Pages), comma-separated
+const syncOrigins = (process.env.SYNC_ORIGINS || '').split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean);
 
 const mime = {
   '.html': 'text/html; charset=UTF-8',
   '.js': 'text/javascript; charset=UTF-8',
   '.css': 'text/css; charset=UTF-8',
   '.json': 'application/json; charset=UTF-8',
+  '.webmanifest': 'application/manifest+json; charset=UTF-8',
   '.svg': 'image/svg+xml',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
 };
 
-const server = http.createServer((req, res) => {
+// ---------- Data file ----------
+// Same shape as the front end's exportAll(), so an export can be used as the data file directly
+const COLLECTIONS = ['etfs', 'purchases', 'cash', 'fx', 'plans', 'goals', 'alerts'];
+
+function emptyData() {
+  return { $schema: 'simple-investor-portfolio.v4', etfs: [], purchases: [], cash: [], fx: [], plans: [], goals: [], alerts: [], ui: null };
+}
+
+function normalize(input) {
+  const data = { ...emptyData(), ...(input && typeof input === 'object' ? input : {}) };
+  COLLECTIONS.forEach((key) => { if (!Array.isArray(data[key])) data[key] = []; });
+  // Purchases carry no natural key, so the API assigns one
+  let n = 0;
+  data.purchases.forEach((p) => { if (!p.id) p.id = `p_${p.ts}_${n++}`; });
+  return data;
+}
+
+function loadData() {
+  try {
+    return normalize(JSON.parse(fs.readFileSync(dataFile, 'utf8')));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Could not read ${dataFile}: ${err.message}`);
+    return emptyData();
+  }
+}
+
+let data = loadData();
+
+// Writes are serialized and go through a temp file + rename, so a crash never leaves a half-written file
+let writing = Promise.resolve();
+function writeFileAtomic(file, snapshot) {
+  // A failed write must not block the ones queued after it
+  writing = writing.catch(() => {}).then(async () => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, snapshot);
+    await fs.promises.rename(tmp, file);
+  });
+  return writing;
+}
+
+const persist = () => writeFileAtomic(dataFile, JSON.stringify({ ...data, exportedAt: new Date().toISOString() }, null, 2));
+
+// ---------- Sync log ----------
+// Records pushed by the front end's device sync, one per storage key + record id (value null = deleted).
+// `seq` grows with every accepted change, so a device asks only for what it hasn't seen.
+function loadSync() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(syncFile, 'utf8'));
+    return { seq: Number(raw.seq) || 0, records: raw.records && typeof raw.records === 'object' ? raw.records : {} };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Could not read ${syncFile}: ${err.message}`);
+    return { seq: 0, records: {} };
+  }
+}
+
+const sync = loadSync();
+const persistSync = () => writeFileAtomic(syncFile, JSON.stringify(sync));
+
+// ---------- API ----------
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Path segments arrive percent-encoded; a malformed escape like %E0%A4 is the client's mistake, not a 500
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    throw new HttpError(400, 'Malformed percent-encoding in the path');
+  }
+}
+
+// How long the rest of an oversized body is still read (and thrown away) after the 413
+const BODY_LINGER_MS = 2000;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > 20 * 1024 * 1024) {
+        // Stop collecting here; the connection is closed shortly after the 413 is sent (see the request handler)
+        raw = '';
+        req.removeAllListeners('data');
+        req.removeAllListeners('end');
+        req.pause();
+        reject(new HttpError(413, 'Body too large'));
+      }
+    });
+    req.on('end', () => {
+      if (!raw) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (_) {
+        reject(new HttpError(400, 'Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': mime['.json'] });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+function requireObject(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Expected a JSON object');
+  return body;
+}
+
+function requireArray(body) {
+  if (!Array.isArray(body)) throw new HttpError(400, 'Expected a JSON array');
+  return body;
+}
+
+const findEtf = (symbol) => {
+  const etf = data.etfs.find((e) => e.symbol === symbol);
+  if (!etf) throw new HttpError(404, `ETF ${symbol} not found`);
+  return etf;
+};
+
+// CRUD for a collection whose items are addressed by an id field
+function crud(key, idField, makeId) {
+  return {
+    list: () => data[key],
+    get: (id) => {
+      const item = data[key].find((x) => String(x[idField]) === id);
+      if (!item) throw new HttpError(404, `${key} ${id} not found`);
+      return item;
+    },
+    create: (body) => {
+      const item = { ...requireObject(body) };
+      if (item[idField] == null) item[idField] = makeId(item);
+      if (data[key].some((x) => String(x[idField]) === String(item[idField]))) throw new HttpError(409, `${key} ${item[idField]} already exists`);
+      data[key].push(item);
+      return item;
+    },
+    update: (id, body) => {
+      const idx = data[key].findIndex((x) => String(x[idField]) === id);
+      if (idx === -1) throw new HttpError(404, `${key} ${id} not found`);
+      data[key][idx] = { ...data[key][idx], ...requireObject(body), [idField]: data[key][idx][idField] };
+      return data[key][idx];
+    },
+    remove: (id) => {
+      const before = data[key].length;
+      data[key] = data[key].filter((x) => String(x[idField]) !== id);
+      if (data[key].length === before) throw new HttpError(404, `${key} ${id} not found`);
+    },
+  };
+}
+
+let seq = 0;
+const resources = {
+  etfs: crud('etfs', 'symbol', () => { throw new HttpError(400, 'symbol is required'); }),
+  purchases: crud('purchases', 'id', (p) => `p_${p.ts}_${Date.now()}_${seq++}`),
+  goals: crud('goals', 'id', () => `g_${Date.now()}_${seq++}`),
+};
+
+// Returns [status, body, changed]
+async function handleApi(method, parts, req) {
+  const [resource, id, sub, subId] = parts;
+
+  // Whole document, in exportAll() format
+  if (resource === 'data') {
+    if (method === 'GET') return [200, data];
+    if (method === 'PUT') {
+      data = normalize(requireObject(await readBody(req)));
+      return [200, data, true];
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  // Device sync: pull changes after `since`; a push must be based on the latest pull, otherwise 409
+  if (resource === 'sync' && !id) {
+    if (method === 'GET') {
+      const since = Number(new URL(req.url, 'http://localhost').searchParams.get('since')) || 0;
+      return [200, { seq: sync.seq, records: Object.values(sync.records).filter((r) => r.seq > since) }];
+    }
+    if (method === 'POST') {
+      const body = requireObject(await readBody(req));
+      const changes = requireArray(body.changes);
+      for (const c of changes) {
+        if (typeof c?.key !== 'string' || typeof c?.id !== 'string' || !Number.isFinite(c?.ts)) throw new HttpError(400, 'Each change needs string key and id and numeric ts');
+      }
+      if (body.since !== sync.seq) throw new HttpError(409, 'Sync log has changed since the last pull');
+      changes.forEach((c) => {
+        sync.seq++;
+        sync.records[JSON.stringify([c.key, c.id])] = { key: c.key, id: c.id, value: c.value ?? null, ts: c.ts, device: typeof body.device === 'string' ? body.device : null, seq: sync.seq };
+      });
+      await persistSync();
+      return [200, { seq: sync.seq }];
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  // Collections without item routes (and the UI settings) are replaced as a whole
+  if ((COLLECTIONS.includes(resource) || resource === 'ui') && !id && method === 'PUT') {
+    const body = await readBody(req);
+    data[resource] = resource === 'ui' ? requireObject(body) : requireArray(body);
+    if (resource === 'purchases') data = normalize(data);
+    return [200, data[resource], true];
+  }
+  if (['cash', 'fx', 'plans', 'alerts', 'ui'].includes(resource) && !id && method === 'GET') return [200, data[resource]];
+
+  // Price snapshots of one ETF, addressed by timestamp
+  if (resource === 'etfs' && id && sub === 'prices') {
+    const etf = findEtf(decodeSegment(id));
+    etf.prices = Array.isArray(etf.prices) ? etf.prices : [];
+    if (!subId && method === 'GET') return [200, etf.prices];
+    if (!subId && method === 'POST') {
+      const body = await readBody(req);
+      const list = Array.isArray(body) ? body : [requireObject(body)];
+      for (const p of list) {
+        if (!Number.isFinite(p?.ts) || !Number.isFinite(p?.price)) throw new HttpError(400, 'Each snapshot needs numeric ts and price');
+      }
+      // Same timestamp overwrites, like the front end's addPriceSnapshots
+      list.forEach((p) => {
+        const idx = etf.prices.findIndex((x) => x.ts === p.ts);
+        if (idx === -1) etf.prices.push({ ts: p.ts, price: p.price }); else etf.prices[idx] = { ts: p.ts, price: p.price };
+      });
+      etf.prices.sort((a, b) => a.ts - b.ts);
+      return [201, etf.prices, true];
+    }
+    if (subId) {
+      const ts = Number(subId);
+      const idx = etf.prices.findIndex((x) => x.ts === ts);
+      if (idx === -1) throw new HttpError(404, `No snapshot at ${subId}`);
+      if (method === 'GET') return [200, etf.prices[idx]];
+      if (method === 'PUT') {
+        const body = requireObject(await readBody(req));
+        if (!Number.isFinite(body.price)) throw new HttpError(400, 'price must be a number');
+        etf.prices[idx] = { ts, price: body.price };
+        return [200, etf.prices[idx], true];
+      }
+      if (method === 'DELETE') {
+        etf.prices.splice(idx, 1);
+        return [204, undefined, true];
+      }
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const r = resources[resource];
+  if (!r || sub) throw new HttpError(404, 'Unknown endpoint');
+  const key = id && decodeSegment(id);
+  if (!key && method === 'GET') return [200, r.list()];
+  if (!key && method === 'POST') {
+    const item = r.create(await readBody(req));
+    if (resource === 'etfs' && !Array.isArray(item.prices)) item.prices = [];
+    return [201, item, true];
+  }
+  if (key && method === 'GET') return [200, r.get(key)];
+  if (key && method === 'PUT') return [200, r.update(key, await readBody(req)), true];
+  if (key && method === 'DELETE') {
+    r.remove(key);
+    return [204, undefined, true];
+  }
+  throw new HttpError(405, 'Method not allowed');
+}
+
+// ---------- Price proxy ----------
+// GET /api/proxy?url=… fetches a quote URL for the front end's price sources, since most quote services
+// don't send CORS headers. Only hosts listed in PROXY_HOSTS (comma-separated, default: this machine, for the
+// mock feed) are fetched, also after redirects. Successful answers are cached for PROXY_TTL seconds.
+const PROXY_TTL_MS = (process.env.PROXY_TTL != null ? Number(process.env.PROXY_TTL) : 300) * 1000;
+const PROXY_HOSTS = (process.env.PROXY_HOSTS || 'localhost,127.0.0.1,[::1]').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+const PROXY_TIMEOUT_MS = 15000;
+const PROXY_MAX_BYTES = 5 * 1024 * 1024;
+const PROXY_MAX_REDIRECTS = 5;
+const PROXY_CACHE_SIZE = 200;
+const proxyCache = new Map(); // url -> { status, type, body, expires }; oldest first
+
+function proxyTarget(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (_) {
+    throw new HttpError(400, 'Query parameter url must be an absolute URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new HttpError(400, 'Only http(s) URLs can be proxied');
+  if (!PROXY_HOSTS.includes(url.hostname.toLowerCase())) throw new HttpError(403, `Host ${url.hostname} is not in PROXY_HOSTS`);
+  return url;
+}
+
+// The body is read chunk by chunk and the download is cut off as soon as it passes the limit
+async function readLimited(response) {
+  if (Number(response.headers.get('content-length')) > PROXY_MAX_BYTES) throw new HttpError(502, 'Upstream response too large');
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > PROXY_MAX_BYTES) {
+      reader.cancel().catch(() => {});
+      throw new HttpError(502, 'Upstream response too large');
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function proxyFetch(target) {
+  const url = proxyTarget(target);
+  const cached = proxyCache.get(url.href);
+  if (cached && cached.expires > Date.now()) return { ...cached, cache: 'HIT' };
+  proxyCache.delete(url.href);
+
+  let upstream;
+  let body;
+  try {
+    const signal = AbortSignal.timeout(PROXY_TIMEOUT_MS);
+    // Redirects are followed by hand so that every hop is checked against PROXY_HOSTS
+    let next = url;
+    for (let hops = 0; ; hops++) {
+      upstream = await fetch(next, { signal, redirect: 'manual', headers: { Accept: 'application/json, text/csv, text/plain, */*' } });
+      const location = upstream.status >= 300 && upstream.status < 400 && upstream.headers.get('location');
+      if (!location) break;
+      upstream.body?.cancel().catch(() => {});
+      if (hops >= PROXY_MAX_REDIRECTS) throw new HttpError(502, 'Too many redirects');
+      next = proxyTarget(location, next);
+    }
+    body = upstream.body ? await readLimited(upstream) : Buffer.alloc(0);
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(502, `Upstream request failed: ${err.message}`);
+  }
+  const entry = {
+    status: upstream.status,
+    type: upstream.headers.get('content-type') || 'text/plain; charset=UTF-8',
+    body,
+    expires: Date.now() + PROXY_TTL_MS,
+  };
+  // Errors are passed through but not cached, so the next refresh tries again
+  if (upstream.ok && PROXY_TTL_MS > 0) {
+    proxyCache.set(url.href, entry);
+    if (proxyCache.size > PROXY_CACHE_SIZE) proxyCache.delete(proxyCache.keys().next().value);
+  }
+  return { ...entry, cache: 'MISS' };
+}
+
+// ---------- Mock price feed ----------
+// GET /api/mock-prices/:symbol?format=json|csv&days=N: made-up daily closes for trying out price sources
+// without an external service. The series depends only on the symbol and the date, so repeated calls agree.
+function mockPrices(symbol, days) {
+  let seed = 0;
+  for (const ch of symbol) seed = (seed * 31 + ch.charCodeAt(0)) >>> 0;
+  // Deterministic pseudo-random step per symbol and day
+  const noise = (day) => {
+    let x = (seed ^ Math.imul(day, 2654435761)) >>> 0;
+    x = Math.imul(x ^ (x >>> 15), 2246822507) >>> 0;
+    x = Math.imul(x ^ (x >>> 13), 3266489909) >>> 0;
+    return ((x ^ (x >>> 16)) >>> 0) / 4294967296 - 0.5;
+  };
+  const today = Math.floor(Date.now() / 864e5);
+  const quotes = [];
+  for (let day = today - days; day < today; day++) {
+    const weekday = new Date(day * 864e5).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    // Slow drift plus noise around a per-symbol base price
+    const price = (20 + (seed % 180)) * (1 + 0.1 * Math.sin(day / 40)) * (1 + 0.02 * noise(day));
+    quotes.push({ date: new Date(day * 864e5).toISOString().slice(0, 10), close: Math.round(price * 100) / 100 });
+  }
+  return quotes;
+}
+
+function mockPricesResponse(symbol, params) {
+  if (!symbol) throw new HttpError(400, 'Symbol required');
+  const days = Math.min(Math.max(parseInt(params.get('days'), 10) || 30, 1), 3650);
+  const quotes = mockPrices(symbol.toUpperCase(), days);
+  if (params.get('format') === 'csv') {
+    return { status: 200, type: 'text/csv; charset=UTF-8', body: ['Date,Close', ...quotes.map((q) => `${q.date},${q.close}`)].join('\n') };
+  }
+  return { status: 200, type: mime['.json'], body: JSON.stringify({ symbol: symbol.toUpperCase(), currency: 'EUR', quotes }) };
+}
+
+// ---------- Static files ----------
+// The data and sync files (and their temp files while writing) may live next to the app: they are only
+// reachable through the API. Nothing outside the app folder or under a dot-folder (.git) is served either.
+function isPublic(filePath) {
+  const rel = path.relative(root, filePath);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return false;
+  if (rel.split(path.sep).some((part) => part.startsWith('.'))) return false;
+  return ![dataFile, syncFile].some((file) => filePath === file || (filePath.startsWith(`${file}.`) && filePath.endsWith('.tmp')));
+}
+
+const server = http.createServer(async (req, res) => {
   let reqPath = req.url.split('?')[0];
+
+  if (reqPath.startsWith('/api/')) {
+    // Browsers send Origin with cross-site requests. Only the app served from here may use the API,
+    // plus the SYNC_ORIGINS sites for the sync log; anything else is refused before it can read or write.
+    const origin = req.headers.origin;
+    const sameOrigin = !origin || origin.replace(/^https?:\/\//, '') === req.headers.host;
+    const syncOrigin = reqPath === '/api/sync' && !sameOrigin && syncOrigins.includes(origin);
+    if (!sameOrigin && !syncOrigin) return sendJson(res, 403, { error: `Origin ${origin} is not allowed` });
+    if (syncOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Vary', 'Origin');
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+      }
+    }
+    try {
+      const parts = reqPath.slice(5).split('/').filter(Boolean);
+      // Price feeds answer with the upstream body (JSON or CSV) rather than an API object
+      if (req.method === 'GET' && (parts[0] === 'proxy' || parts[0] === 'mock-prices')) {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const out = parts[0] === 'proxy' ? await proxyFetch(params.get('url')) : mockPricesResponse(decodeSegment(parts[1] || ''), params);
+        res.writeHead(out.status, { 'Content-Type': out.type, 'Cache-Control': 'no-store', ...(out.cache ? { 'X-Proxy-Cache': out.cache } : {}) });
+        return res.end(out.body);
+      }
+      const [status, body, changed] = await handleApi(req.method, parts, req);
+      if (changed) await persist();
+      return sendJson(res, status, body);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      // The rest of an oversized upload is discarded for a moment before the connection is dropped:
+      // dropping it at once resets it while the client is still sending, and the client never sees the 413
+      if (err.status === 413) {
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => {
+          req.resume();
+          setTimeout(() => req.destroy(), BODY_LINGER_MS).unref();
+        });
+      }
+      return sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+    }
+  }
+
   if (reqPath === '/' || reqPath === '') reqPath = '/index.html';
   const filePath = path.join(root, reqPath);
 
   fs.readFile(filePath, (err, data) => {
-    if (err) {
+    if (err || !isPublic(filePath)) {
       res.writeHead(404, { 'Content-Type': 'text/plain; charset=UTF-8' });
       return res.end('Not found');
     }
@@ -33,6 +474,14 @@ const server = http.createServer((req, res) => {
   });
 });
 
-server.listen(port, () => {
-  console.log(`Static server running at http://localhost:${port}`);
-});
+// `node server.js` starts listening; the tests require the module and pick a port of their own
+if (require.main === module) {
+  server.listen(port, () => {
+    console.log(`Static server running at http://localhost:${port}`);
+    console.log(`API data file: ${dataFile}`);
+    console.log(`Sync log: ${syncFile}${syncOrigins.length ? ` (also for ${syncOrigins.join(', ')})` : ''}`);
+    console.log(`Price proxy: hosts ${PROXY_HOSTS.join(', ')}; cache ${PROXY_TTL_MS / 1000}s`);
+  });
+}
+
+module.exports = { server };
@@ -0,0 +1,57 @@
+// Service worker: keeps the app usable offline once it has been opened online.
+// App files are network-first, so a new deploy shows up on the next load; the libraries are cache-first.
+// The JSON API of server.js is never cached.
+const CACHE = 'sip-v1';
+const APP_FILES = ['./', './index.html', './index.js', './default-data.json', './manifest.webmanifest', './icon.svg'];
+// Downloaded by the Pages workflow; a plain checkout doesn't have them and the page loads the CDN copies instead
+const VENDOR_FILES = ['./vendor/tailwind.js', './vendor/chart.umd.min.js'];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(APP_FILES);
+    await Promise.all(VENDOR_FILES.map((url) => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function cacheFirst(req) {
+  const cached = await caches.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  // CDN scripts without CORS come back opaque; they still run from the cache
+  if (res.ok || res.type === 'opaque') (await caches.open(CACHE)).put(req, res.clone());
+  return res;
+}
+
+async function networkFirst(req) {
+  try {
+    const res = await fetch(req);
+    if (res.ok) (await caches.open(CACHE)).put(req, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await caches.match(req, { ignoreSearch: true });
+    if (cached) return cached;
+    if (req.mode === 'navigate') return caches.match('./index.html');
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  const local = url.origin === self.location.origin;
+  if (local && url.pathname.includes('/api/')) return;
+  if (CDN_HOSTS.includes(url.hostname) || (local && url.pathname.includes('/vendor/'))) event.respondWith(cacheFirst(req));
+  else if (local) event.respondWith(networkFirst(req));
+});
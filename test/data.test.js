@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain, day } = require('./load-app');
+
+// A file from before versioning: no $schema, no currencies or trade sides, no alerts
+const v1 = {
+  etfs: [{ symbol: 'AAA', name: 'A', prices: [{ ts: day('2025-01-01'), price: 10 }] }],
+  purchases: [{ symbol: 'AAA', ts: day('2025-01-02'), qty: 1 }, { symbol: 'AAA', ts: day('2025-01-03'), qty: 1, side: 'sell' }],
+};
+
+test('every version up to the current one has a migration', async () => {
+  const app = await loadApp();
+  for (let v = 1; v < app.SCHEMA_VERSION; v++) assert.equal(typeof app.MIGRATIONS[v], 'function', `v${v}`);
+});
+
+test('migrateData walks a v1 file up to the current schema', async () => {
+  const app = await loadApp();
+  const out = plain(app.migrateData(v1));
+  assert.equal(out.$schema, `simple-investor-portfolio.v${app.SCHEMA_VERSION}`);
+  assert.equal(out.etfs[0].currency, 'EUR');
+  assert.deepEqual(out.purchases.map((p) => p.side), ['buy', 'sell']);
+  ['cash', 'fx', 'plans', 'goals', 'alerts'].forEach((k) => assert.deepEqual(out[k], [], k));
+});
+
+test('migrateData adds alerts to every portfolio of a workspace file', async () => {
+  const app = await loadApp();
+  const out = plain(app.migrateData({ $schema: 'simple-investor-portfolio.v3', etfs: [], fx: [], portfolios: [{ id: 'a', name: 'A', purchases: [] }] }));
+  assert.deepEqual(out.portfolios[0].alerts, []);
+});
+
+test('migrateData refuses newer and unknown formats', async () => {
+  const app = await loadApp();
+  assert.throws(() => app.migrateData({ $schema: `simple-investor-portfolio.v${app.SCHEMA_VERSION + 1}` }), /новішою версією/);
+  assert.throws(() => app.migrateData({ $schema: 'something-else.v1' }), /Невідомий формат/);
+  assert.throws(() => app.migrateData([]), /не містить об'єкта/);
+});
+
+test('validateData accepts a migrated file', async () => {
+  const app = await loadApp();
+  assert.deepEqual(plain(app.validateData(app.migrateData(v1))), []);
+});
+
+test('validateData lists broken records as errors', async () => {
+  const app = await loadApp();
+  const d = app.migrateData({
+    etfs: [{ symbol: 'AAA', name: 'A', prices: [{ ts: -1, price: 10 }] }, { symbol: 'AAA', name: 'dup', prices: [] }],
+    purchases: [{ symbol: 'AAA', ts: day('2025-01-02'), qty: 0 }],
+    fx: [{ currency: 'usd', rates: [] }],
+  });
+  const errors = plain(app.validateData(d));
+  assert.equal(errors.length, 4);
+  assert.match(errors.join('\n'), /некоректна дата/);
+  assert.match(errors.join('\n'), /symbol повторюється/);
+  assert.match(errors.join('\n'), /кількість має бути додатною/);
+  assert.match(errors.join('\n'), /некоректна валюта/);
+});
+
+test('validateData keeps TER and fund weights within 0–100 %', async () => {
+  const app = await loadApp();
+  const d = app.migrateData({ etfs: [{ symbol: 'AAA', name: 'A', ter: 120, regions: { США: 140 }, prices: [] }] });
+  const errors = plain(app.validateData(d));
+  assert.equal(errors.length, 2);
+  assert.match(errors.join('\n'), /TER/);
+  assert.match(errors.join('\n'), /regions/);
+});
+
+test('parseWeights reads JSON and CSV tables and refuses weights outside 0–100', async () => {
+  const app = await loadApp();
+  assert.deepEqual(plain(app.parseWeights('{"США": 62.5, "Японія": 5}')), { США: 62.5, Японія: 5 });
+  assert.deepEqual(plain(app.parseWeights('Регіон;Вага\nСША;62,5 %\nЄвропа;20')), { США: 62.5, Європа: 20 });
+  assert.equal(app.parseWeights('  '), null);
+  assert.throws(() => app.parseWeights('США;0.2abc'), /«США»/);
+  assert.throws(() => app.parseWeights('США;-5'), /від 0 до 100/);
+  assert.throws(() => app.parseWeights('{"США": 120}'), /від 0 до 100/);
+  assert.throws(() => app.parseWeights('{"США": "50"}'), /від 0 до 100/);
+});
+
+test('validateData only warns about records of ETFs that are not in the file', async () => {
+  const app = await loadApp();
+  const warnings = [];
+  const d = app.migrateData({ etfs: [], purchases: [{ symbol: 'GONE', ts: day('2025-01-02'), qty: 1 }] });
+  assert.deepEqual(plain(app.validateData(d, warnings)), []);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /GONE/);
+});
+
+test('mergeData adds what is missing and keeps what is already there', async () => {
+  const app = await loadApp();
+  const current = app.migrateData(v1);
+  const incoming = app.migrateData({
+    etfs: [
+      { symbol: 'AAA', name: 'other name', isin: 'IE00B4L5Y983', prices: [{ ts: day('2025-01-01'), price: 99 }, { ts: day('2025-01-05'), price: 11 }] },
+      { symbol: 'BBB', name: 'B', prices: [] },
+    ],
+    purchases: [v1.purchases[0], { symbol: 'BBB', ts: day('2025-01-06'), qty: 2 }],
+  });
+  const out = plain(app.mergeData(current, incoming));
+  assert.deepEqual(out.etfs.map((e) => e.symbol), ['AAA', 'BBB']);
+  assert.equal(out.etfs[0].name, 'A');
+  assert.equal(out.etfs[0].isin, 'IE00B4L5Y983');
+  // Existing snapshots win, new timestamps are added in order
+  assert.deepEqual(out.etfs[0].prices, [{ ts: day('2025-01-01'), price: 10 }, { ts: day('2025-01-05'), price: 11 }]);
+  assert.equal(out.purchases.length, 3);
+});
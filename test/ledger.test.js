@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain, day } = require('./load-app');
+
+const seed = {
+  sip_etfs: [
+    { symbol: 'AAA', name: 'A', currency: 'EUR', prices: [{ ts: day('2025-01-01'), price: 10 }, { ts: day('2025-03-01'), price: 40 }] },
+    { symbol: 'USD1', name: 'U', currency: 'USD', prices: [{ ts: day('2025-01-01'), price: 10 }] },
+    // No CHF rates at all; GBP rates only start in February
+    { symbol: 'CHF1', name: 'C', currency: 'CHF', prices: [{ ts: day('2025-01-01'), price: 10 }] },
+    { symbol: 'GBP1', name: 'G', currency: 'GBP', prices: [{ ts: day('2025-01-01'), price: 10 }] },
+  ],
+  sip_fx: [
+    { currency: 'USD', rates: [{ ts: day('2025-01-01'), rate: 0.9 }] },
+    { currency: 'GBP', rates: [{ ts: day('2025-02-01'), rate: 1.2 }] },
+  ],
+};
+
+// 10 @ 10 with a fee of 1 (unit cost 10.1), 10 @ 20, then 15 sold @ 30 with a fee of 2 (proceeds 448)
+const trades = [
+  { symbol: 'AAA', ts: day('2025-01-02'), qty: 10, side: 'buy', price: 10, fee: 1 },
+  { symbol: 'AAA', ts: day('2025-01-03'), qty: 10, side: 'buy', price: 20 },
+  { symbol: 'AAA', ts: day('2025-01-04'), qty: 15, side: 'sell', price: 30, fee: 2 },
+];
+
+function run(app, method, list = trades) {
+  const ledger = app.createLedger(method);
+  list.forEach(ledger.apply);
+  return ledger;
+}
+
+test('FIFO sells the oldest lots first', async () => {
+  const ledger = run(await loadApp(seed), 'fifo');
+  const [d] = ledger.disposals;
+  assert.equal(d.proceeds, 448);
+  assert.ok(Math.abs(d.cost - 201) < 1e-9);
+  assert.ok(Math.abs(ledger.realized - 247) < 1e-9);
+  assert.equal(ledger.positions.AAA.qty, 5);
+  assert.ok(Math.abs(ledger.positions.AAA.cost - 100) < 1e-9);
+  assert.ok(Math.abs(ledger.bought - 301) < 1e-9);
+});
+
+test('LIFO sells the newest lots first', async () => {
+  const ledger = run(await loadApp(seed), 'lifo');
+  assert.ok(Math.abs(ledger.disposals[0].cost - 250.5) < 1e-9);
+  assert.ok(Math.abs(ledger.realized - 197.5) < 1e-9);
+  assert.ok(Math.abs(ledger.positions.AAA.cost - 50.5) < 1e-9);
+  assert.deepEqual(plain(ledger.positions.AAA.lots.map((l) => l.qty)), [5]);
+});
+
+test('average cost takes a proportional share of the pooled cost', async () => {
+  const ledger = run(await loadApp(seed), 'avg');
+  assert.ok(Math.abs(ledger.disposals[0].cost - 225.75) < 1e-9);
+  assert.ok(Math.abs(ledger.realized - 222.25) < 1e-9);
+  assert.ok(Math.abs(ledger.positions.AAA.cost - 75.25) < 1e-9);
+  const lots = ledger.positions.AAA.lots;
+  assert.ok(Math.abs(lots.reduce((a, l) => a + l.qty, 0) - 5) < 1e-9);
+});
+
+test('selling more than is held is reported and capped', async () => {
+  const ledger = run(await loadApp(seed), 'fifo', [trades[0], { symbol: 'AAA', ts: day('2025-01-05'), qty: 12, side: 'sell', price: 30 }]);
+  assert.deepEqual(plain(ledger.issues.map((i) => i.reason)), ['oversold']);
+  assert.equal(ledger.disposals[0].qty, 10);
+  assert.equal(ledger.positions.AAA.qty, 0);
+});
+
+test('trades in another currency are converted at the rate of the trade date', async () => {
+  const ledger = run(await loadApp(seed), 'fifo', [{ symbol: 'USD1', ts: day('2025-01-02'), qty: 10, side: 'buy', price: 10, fee: 1 }]);
+  const lot = ledger.positions.USD1.lots[0];
+  assert.equal(lot.fx, 0.9);
+  assert.equal(lot.nativeUnit, 10.1);
+  assert.ok(Math.abs(ledger.bought - 90.9) < 1e-9);
+});
+
+test('a trade without any FX rate is unpriced, not free', async () => {
+  const ledger = run(await loadApp(seed), 'fifo', [{ symbol: 'CHF1', ts: day('2025-01-02'), qty: 10, side: 'buy', price: 10, fee: 1 }]);
+  assert.deepEqual(plain(ledger.issues.map((i) => i.reason)), ['unpriced']);
+  const s = ledger.positions.CHF1;
+  assert.equal(s.qty, 10);
+  assert.equal(s.unpriced, 10);
+  assert.equal(s.cost, 0);
+  assert.equal(ledger.bought, 0);
+});
+
+test('selling unpriced units realizes nothing for them', async () => {
+  const ledger = run(await loadApp(seed), 'fifo', [
+    { symbol: 'CHF1', ts: day('2025-01-02'), qty: 10, side: 'buy', price: 10 },
+    { symbol: 'CHF1', ts: day('2025-01-03'), qty: 4, side: 'sell', price: 12 },
+  ]);
+  const [d] = ledger.disposals;
+  assert.equal(d.proceeds, null);
+  assert.equal(d.gain, null);
+  assert.equal(ledger.realized, 0);
+  assert.equal(ledger.positions.CHF1.unpriced, 6);
+});
+
+test('a sale that takes unpriced and priced lots only realizes the priced part', async () => {
+  const app = await loadApp({ ...seed, sip_etfs: [...seed.sip_etfs, { symbol: 'NEW', name: 'N', currency: 'EUR', prices: [] }] });
+  // No snapshots yet: the first buy has no price at all, the second one was entered with its price
+  const ledger = run(app, 'fifo', [
+    { symbol: 'NEW', ts: day('2025-01-02'), qty: 4, side: 'buy' },
+    { symbol: 'NEW', ts: day('2025-01-03'), qty: 6, side: 'buy', price: 10 },
+    { symbol: 'NEW', ts: day('2025-01-04'), qty: 10, side: 'sell', price: 20 },
+  ]);
+  const [d] = ledger.disposals;
+  assert.equal(d.qty, 6);
+  assert.equal(d.cost, 60);
+  assert.equal(d.proceeds, 120);
+  assert.equal(ledger.realized, 60);
+  assert.equal(ledger.bought, 60);
+  assert.deepEqual(plain(ledger.issues.map((i) => i.reason)), ['unpriced', 'unpriced']);
+});
+
+test('a trade older than the first FX rate takes the earliest later rate and is flagged', async () => {
+  const ledger = run(await loadApp(seed), 'fifo', [{ symbol: 'GBP1', ts: day('2025-01-02'), qty: 10, side: 'buy', price: 10 }]);
+  assert.deepEqual(plain(ledger.issues.map((i) => i.reason)), ['fx-later']);
+  assert.equal(ledger.positions.GBP1.lots[0].fx, 1.2);
+  assert.equal(ledger.bought, 120);
+});
+
+test('computeTotals leaves unpriced units out of the value as well as the cost', async () => {
+  const app = await loadApp({ ...seed, sip_purchases: [
+    { symbol: 'AAA', ts: day('2025-01-02'), qty: 1, side: 'buy', price: 10 },
+    { symbol: 'CHF1', ts: day('2025-01-02'), qty: 10, side: 'buy', price: 10 },
+  ] });
+  const totals = app.computeTotals();
+  assert.equal(totals.invested, 10);
+  assert.equal(totals.current, 40);
+});
+
+test('a trade without a stored price uses the snapshot of its date', async () => {
+  const ledger = run(await loadApp(seed), 'fifo', [{ symbol: 'AAA', ts: day('2025-03-02'), qty: 2, side: 'buy' }]);
+  assert.equal(ledger.positions.AAA.cost, 80);
+});
+
+test('computeTotals reads the stored purchases with the chosen method', async () => {
+  const app = await loadApp({ ...seed, sip_purchases: trades, sip_ui: { costMethod: 'lifo' } });
+  const totals = app.computeTotals();
+  assert.ok(Math.abs(totals.realized - 197.5) < 1e-9);
+  assert.ok(Math.abs(totals.invested - 50.5) < 1e-9);
+  // 5 units left at the latest price of 40
+  assert.equal(totals.current, 200);
+});
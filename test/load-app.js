@@ -0,0 +1,44 @@
+// Runs index.js without a page: a bare VM context with just enough of window, document and localStorage
+// for the script to load, seeded with the given sip_* keys. Resolves to the helpers the script exposes.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8');
+
+function fakeLocalStorage(seed) {
+  const store = Object.create({
+    getItem(key) { return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null; },
+    setItem(key, value) { this[key] = String(value); },
+    removeItem(key) { delete this[key]; },
+  });
+  Object.entries(seed).forEach(([key, value]) => { store[key] = JSON.stringify(value); });
+  return store;
+}
+
+async function loadApp(seed = {}) {
+  const context = {
+    __SIP_TEST__: {},
+    // No IndexedDB here, so storage warns once and falls back to localStorage
+    console: { ...console, warn() {} },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    localStorage: fakeLocalStorage(seed),
+    document: { hidden: false, addEventListener() {} },
+    addEventListener() {},
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(source, context, { filename: 'index.js' });
+  const app = context.__SIP_TEST__;
+  await app.storage.open();
+  app.loadState();
+  return app;
+}
+
+// Objects made inside the VM have its prototypes; deepStrictEqual compares against this realm's
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const DAY = 24 * 3600 * 1000;
+const day = (iso) => new Date(`${iso}T12:00:00Z`).getTime();
+
+module.exports = { loadApp, plain, DAY, day };
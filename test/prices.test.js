@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain, day } = require('./load-app');
+
+const seed = {
+  sip_etfs: [
+    // Stored out of order and with a repeated timestamp: the index sorts them and the later entry wins
+    { symbol: 'AAA', name: 'A', prices: [{ ts: day('2025-01-03'), price: 12 }, { ts: day('2025-01-01'), price: 10 }, { ts: day('2025-01-03'), price: 13 }] },
+  ],
+  sip_fx: [
+    { currency: 'USD', rates: [{ ts: day('2025-02-01'), rate: 0.95 }, { ts: day('2025-01-01'), rate: 0.9 }] },
+    { currency: 'GBP', rates: [{ ts: day('2025-01-01'), rate: 1.2 }] },
+  ],
+};
+
+test('priceEntry indexes the snapshots sorted, one per timestamp', async () => {
+  const app = await loadApp(seed);
+  const entry = plain(app.priceEntry('AAA'));
+  assert.equal(entry.currency, 'EUR');
+  assert.deepEqual(entry.series, { ts: [day('2025-01-01'), day('2025-01-03')], values: [10, 13] });
+  assert.equal(app.priceEntry('NOPE'), null);
+});
+
+test('price lookups take the last snapshot at or before the date', async () => {
+  const app = await loadApp(seed);
+  assert.equal(app.rawPriceAt('AAA', day('2025-01-02')), 10);
+  assert.equal(app.rawPriceAt('AAA', day('2025-01-03')), 13);
+  assert.equal(app.rawPriceAt('AAA', day('2026-01-01')), 13);
+});
+
+test('before the first snapshot rawPriceAt borrows it, rawPriceAsOf does not', async () => {
+  const app = await loadApp(seed);
+  assert.equal(app.rawPriceAt('AAA', day('2024-12-01')), 10);
+  assert.equal(app.rawPriceAsOf('AAA', day('2024-12-01')), null);
+  assert.equal(app.rawPriceAsOf('AAA', day('2025-01-02')), 10);
+});
+
+test('fxSeries sorts the rates of one currency', async () => {
+  const app = await loadApp(seed);
+  assert.deepEqual(plain(app.fxSeries('USD')), { ts: [day('2025-01-01'), day('2025-02-01')], values: [0.9, 0.95] });
+  assert.deepEqual(plain(app.fxSeries('CHF')), { ts: [], values: [] });
+});
+
+test('fxRate converts through EUR at the rate of the date', async () => {
+  const app = await loadApp(seed);
+  assert.equal(app.fxRate('USD', 'USD', day('2025-01-01')), 1);
+  assert.equal(app.fxRate('USD', 'EUR', day('2025-01-15')), 0.9);
+  assert.equal(app.fxRate('USD', 'EUR', day('2025-02-15')), 0.95);
+  assert.ok(Math.abs(app.fxRate('EUR', 'USD', day('2025-01-15')) - 1 / 0.9) < 1e-12);
+  assert.ok(Math.abs(app.fxRate('USD', 'GBP', day('2025-01-15')) - 0.75) < 1e-12);
+  assert.equal(app.fxRate('CHF', 'EUR', day('2025-01-15')), null);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, DAY } = require('./load-app');
+
+const t0 = Date.UTC(2024, 0, 1);
+
+test('xirr of one investment and one withdrawal a year later', async () => {
+  const { xirr } = await loadApp();
+  const r = xirr([{ ts: t0, amount: -1000 }, { ts: t0 + 365 * DAY, amount: 1100 }]);
+  assert.ok(Math.abs(r - 0.1) < 1e-9);
+});
+
+test('xirr discounts every flow to a zero net present value', async () => {
+  const { xirr } = await loadApp();
+  const flows = [
+    { ts: t0, amount: -1000 },
+    { ts: t0 + 90 * DAY, amount: -500 },
+    { ts: t0 + 200 * DAY, amount: 120 },
+    { ts: t0 + 500 * DAY, amount: 1600 },
+  ];
+  const r = xirr(flows);
+  const npv = flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + r, (f.ts - t0) / (365 * DAY)), 0);
+  assert.ok(Math.abs(npv) < 1e-6);
+});
+
+test('xirr handles losses', async () => {
+  const { xirr } = await loadApp();
+  const r = xirr([{ ts: t0, amount: -1000 }, { ts: t0 + 365 * DAY, amount: 500 }]);
+  assert.ok(Math.abs(r + 0.5) < 1e-9);
+});
+
+test('xirr is null without both money in and money out', async () => {
+  const { xirr } = await loadApp();
+  assert.equal(xirr([{ ts: t0, amount: -1000 }, { ts: t0 + DAY, amount: -10 }]), null);
+  assert.equal(xirr([{ ts: t0, amount: 50 }]), null);
+  assert.equal(xirr([]), null);
+});
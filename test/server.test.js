@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+// The data and sync files sit next to the app, as they do by default, so the static file rules apply to them
+const root = path.join(__dirname, '..');
+const dataFile = path.join(root, `data.test-${process.pid}.json`);
+const syncFile = path.join(root, `sync.test-${process.pid}.json`);
+process.env.DATA_FILE = dataFile;
+process.env.SYNC_FILE = syncFile;
+process.env.SYNC_ORIGINS = 'https://user.github.io';
+delete process.env.PROXY_HOSTS;
+// server.js reads the data file when it is loaded
+fs.writeFileSync(dataFile, JSON.stringify({ etfs: [{ symbol: 'AAA', name: 'A', prices: [] }] }));
+
+const { server } = require('../server');
+
+// Quote service for the proxy, on an allowed host (127.0.0.1)
+const upstream = http.createServer((req, res) => {
+  if (req.url === '/quotes.csv') {
+    res.writeHead(200, { 'Content-Type': 'text/csv' });
+    return res.end('Date,Close\n2025-01-02,10\n');
+  }
+  const location = { '/hop': '/quotes.csv', '/away': 'http://example.com/quotes.csv' }[req.url];
+  res.writeHead(location ? 302 : 404, location ? { Location: location } : {});
+  res.end();
+});
+
+let base;
+let upstreamBase;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  base = `127.0.0.1:${server.address().port}`;
+  upstreamBase = `http://127.0.0.1:${upstream.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => upstream.close(resolve));
+  [dataFile, syncFile].forEach((file) => fs.rmSync(file, { force: true }));
+});
+
+// Raw http rather than fetch: the paths must go out as written and Origin must be settable
+function request(method, urlPath, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const [host, port] = base.split(':');
+    const req = http.request({ host, port, method, path: urlPath, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    // The server may close the connection while a large body is still being sent
+    req.on('error', (err) => { if (!req.res) reject(err); });
+    req.end(body);
+  });
+}
+
+const json = (value) => ({ headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(value) });
+
+test('a request body over the limit gets a 413', async () => {
+  const res = await request('PUT', '/api/data', { headers: { 'Content-Type': 'application/json' }, body: Buffer.alloc(21 * 1024 * 1024, 0x20) });
+  assert.equal(res.status, 413);
+  assert.equal(res.headers.connection, 'close');
+  // The data file was not touched
+  assert.equal((await request('GET', '/api/etfs/AAA')).status, 200);
+});
+
+test('sync push must be based on the latest pull', async () => {
+  const change = (id) => ({ key: 'sip_etfs', id, ts: Date.now(), value: { symbol: id } });
+  const first = await request('POST', '/api/sync', json({ since: 0, device: 'a', changes: [change('X')] }));
+  assert.equal(first.status, 200);
+  const { seq } = JSON.parse(first.text);
+  assert.equal(seq, 1);
+
+  const stale = await request('POST', '/api/sync', json({ since: 0, device: 'b', changes: [change('Y')] }));
+  assert.equal(stale.status, 409);
+
+  const pull = JSON.parse((await request('GET', '/api/sync?since=0')).text);
+  assert.deepEqual(pull.records.map((r) => r.id), ['X']);
+  const next = await request('POST', '/api/sync', json({ since: pull.seq, device: 'b', changes: [change('Y')] }));
+  assert.equal(next.status, 200);
+  assert.deepEqual(JSON.parse((await request('GET', `/api/sync?since=${seq}`)).text).records.map((r) => r.id), ['Y']);
+});
+
+test('the API refuses other sites, except the sync origins on the sync log', async () => {
+  const evil = { headers: { Origin: 'https://evil.example' } };
+  assert.equal((await request('GET', '/api/data', evil)).status, 403);
+  assert.equal((await request('GET', '/api/sync', evil)).status, 403);
+
+  const allowed = { headers: { Origin: 'https://user.github.io' } };
+  const sync = await request('GET', '/api/sync', allowed);
+  assert.equal(sync.status, 200);
+  assert.equal(sync.headers['access-control-allow-origin'], 'https://user.github.io');
+  assert.equal((await request('GET', '/api/data', allowed)).status, 403);
+  assert.equal((await request('GET', '/api/data', { headers: { Origin: `http://${base}` } })).status, 200);
+});
+
+test('the proxy only fetches hosts from PROXY_HOSTS', async () => {
+  const ok = await request('GET', `/api/proxy?url=${encodeURIComponent(`${upstreamBase}/quotes.csv`)}`);
+  assert.equal(ok.status, 200);
+  assert.match(ok.text, /2025-01-02,10/);
+
+  const other = await request('GET', `/api/proxy?url=${encodeURIComponent('http://example.com/quotes.csv')}`);
+  assert.equal(other.status, 403);
+  assert.equal((await request('GET', `/api/proxy?url=${encodeURIComponent('file:///etc/passwd')}`)).status, 400);
+  assert.equal((await request('GET', '/api/proxy?url=not-a-url')).status, 400);
+});
+
+test('the proxy follows redirects only to allowed hosts', async () => {
+  const hop = await request('GET', `/api/proxy?url=${encodeURIComponent(`${upstreamBase}/hop`)}`);
+  assert.equal(hop.status, 200);
+  assert.match(hop.text, /Date,Close/);
+
+  const away = await request('GET', `/api/proxy?url=${encodeURIComponent(`${upstreamBase}/away`)}`);
+  assert.equal(away.status, 403);
+  assert.match(JSON.parse(away.text).error, /example\.com/);
+});
+
+test('a malformed escape in the path is a 400, not a 500', async () => {
+  for (const urlPath of ['/api/etfs/%E0%A4', '/api/etfs/%E0%A4/prices', '/api/purchases/%', '/api/mock-prices/%E0%A4']) {
+    const res = await request('GET', urlPath);
+    assert.equal(res.status, 400, urlPath);
+    assert.match(JSON.parse(res.text).error, /percent-encoding/);
+  }
+  assert.equal((await request('GET', `/api/etfs/${encodeURIComponent('AAA')}`)).status, 200);
+});
+
+test('the data and sync files are not served as static files', async () => {
+  assert.equal((await request('GET', '/index.html')).status, 200);
+  assert.equal((await request('GET', `/${path.basename(dataFile)}`)).status, 404);
+  assert.equal((await request('GET', `/${path.basename(syncFile)}`)).status, 404);
+  assert.equal((await request('GET', '/../../etc/hostname')).status, 404);
+  assert.equal((await request('GET', '/.gitignore')).status, 404);
+});